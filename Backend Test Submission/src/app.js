@@ -8,6 +8,7 @@ const { logger, loggingMiddleware } = require('./middleware/logger');
 const urlRoutes = require('./routes/urlRoutes');
 const urlStorage = require('./models/urlStorage');
 const { startCleanupJob } = require('./utils/helpers');
+const { registerReservedRoutes } = require('./utils/shortcodePolicy');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -21,8 +22,9 @@ app.use(helmet({
 app.use(cors({
   origin: ['http://localhost:3000', 'http://127.0.0.1:3000'],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
 
@@ -45,15 +47,23 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 
-app.set('trust proxy', 1);
+// How many proxies in front of the app to trust for X-Forwarded-For (req.ip): a hop
+// count, true, false, or a list of addresses/presets such as "loopback". Defaults to one
+// proxy, as the app is usually deployed behind one. Without a proxy set TRUST_PROXY=false:
+// clients could otherwise pick their own req.ip, which keys the rate limits.
+const parseTrustProxy = (value) => {
+  if (!value) return 1;
+  if (value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? parseInt(value, 10) : value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
 
 
 app.use(loggingMiddleware);
 
 
-app.use('/', urlRoutes);
-
-
+// Registered before the URL routes, whose GET /:shortcode would otherwise answer it
 app.get('/health', (req, res) => {
   logger.info('Health check requested');
   res.json({
@@ -65,6 +75,9 @@ app.get('/health', (req, res) => {
 });
 
 
+app.use('/', urlRoutes);
+
+
 app.use('*', (req, res) => {
   logger.warn('404 - Route not found', { 
     method: req.method, 
@@ -110,19 +123,50 @@ process.on('SIGINT', () => {
 });
 
 
-app.listen(PORT, () => {
-  logger.info('Server started', {
-    port: PORT,
-    environment: process.env.NODE_ENV || 'development',
-    timestamp: new Date().toISOString()
+// Custom and generated shortcodes must not shadow any route registered above
+registerReservedRoutes(app);
+
+// Replay persisted state before accepting traffic
+const recoveryReport = urlStorage.recover();
+if (recoveryReport) {
+  logger.info('Storage recovery completed', {
+    restoredUrls: recoveryReport.restoredUrls,
+    replayedEntries: recoveryReport.replayedEntries,
+    skippedEntries: recoveryReport.skippedEntries.length
   });
+  if (recoveryReport.skippedEntries.length > 0) {
+    console.warn(`⚠️  Skipped ${recoveryReport.skippedEntries.length} corrupt journal entries during recovery`);
+  }
+  if (recoveryReport.quarantinedSnapshot) {
+    console.warn(`⚠️  Journal snapshot was unreadable and has been moved to ${recoveryReport.quarantinedSnapshot}; links stored only in it were not restored`);
+  }
+}
+
+// Codes differing only in case can't all be reached once lookups ignore case
+if (urlStorage.caseInsensitive) {
+  const collisions = urlStorage.findCaseCollisions();
+  if (collisions.length > 0) {
+    logger.warn('Case-insensitive shortcodes enabled with colliding codes', { groups: collisions.length });
+    console.warn(`⚠️  ${collisions.length} groups of shortcodes differ only in case; only the oldest of each resolves case-insensitively. Run npm run check:case-collisions for details`);
+  }
+}
+
+// Only listen when run directly, so tests can require the app
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info('Server started', {
+      port: PORT,
+      environment: process.env.NODE_ENV || 'development',
+      timestamp: new Date().toISOString()
+    });
   
-  console.log(`🚀 URL Shortener Microservice running on port ${PORT}`);
-  console.log(`📋 Health check: http://localhost:${PORT}/health`);
-  console.log(`📊 API Base URL: http://localhost:${PORT}`);
+    console.log(`🚀 URL Shortener Microservice running on port ${PORT}`);
+    console.log(`📋 Health check: http://localhost:${PORT}/health`);
+    console.log(`📊 API Base URL: http://localhost:${PORT}`);
   
 
-  startCleanupJob(urlStorage, 30); 
-});
+    startCleanupJob(urlStorage, 30); 
+  });
+}
 
 module.exports = app;
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { formatErrorResponse } = require('../utils/helpers');
+
+// Idempotency-Key support for create endpoints. The first request with a key runs
+// normally and its response is kept for IDEMPOTENCY_TTL_MINUTES (default 24 hours);
+// a repeat with the same key and body gets that response back (Idempotent-Replayed: true)
+// instead of creating another link. The same key with a different body is a 422, and a
+// repeat that arrives while the first is still running is a 409.
+// Server errors (5xx) are not kept, so the client can retry them with the same key.
+// Keys are held in memory only and are forgotten on restart.
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON with sorted object keys, so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+class IdempotencyStore {
+  constructor() {
+    this.entries = new Map(); // key -> { fingerprint, createdAt, response }
+    this.ttlMs = (parseInt(process.env.IDEMPOTENCY_TTL_MINUTES, 10) || 24 * 60) * 60 * 1000;
+    this.lastSweep = Date.now();
+  }
+
+  fingerprint(req) {
+    return crypto.createHash('sha256')
+      .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+      .digest('hex');
+  }
+
+  // Drop expired keys, at most once a minute
+  sweep(now = Date.now()) {
+    if (now - this.lastSweep < 60 * 1000) return;
+    this.lastSweep = now;
+    for (const [key, entry] of this.entries) {
+      if (now - entry.createdAt > this.ttlMs) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  get(key) {
+    this.sweep();
+    const entry = this.entries.get(key);
+    if (entry && Date.now() - entry.createdAt > this.ttlMs) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  begin(key, fingerprint) {
+    this.entries.set(key, { fingerprint, createdAt: Date.now(), response: null });
+  }
+
+  complete(key, statusCode, body) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      entry.response = { statusCode, body };
+    }
+  }
+
+  abandon(key) {
+    this.entries.delete(key);
+  }
+}
+
+const idempotencyStore = new IdempotencyStore();
+
+const idempotencyMiddleware = (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json(formatErrorResponse(
+      `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`,
+      400,
+      { code: 'INVALID_IDEMPOTENCY_KEY' }
+    ));
+  }
+
+  const fingerprint = idempotencyStore.fingerprint(req);
+  const entry = idempotencyStore.get(key);
+
+  if (entry) {
+    if (entry.fingerprint !== fingerprint) {
+      logger.warn('Idempotency key reused with a different request', { key, path: req.originalUrl });
+      return res.status(422).json(formatErrorResponse(
+        'Idempotency-Key was already used for a different request',
+        422,
+        { code: 'IDEMPOTENCY_KEY_MISMATCH' }
+      ));
+    }
+    if (!entry.response) {
+      return res.status(409).json(formatErrorResponse(
+        'A request with this Idempotency-Key is still being processed',
+        409,
+        { code: 'IDEMPOTENCY_KEY_IN_USE' }
+      ));
+    }
+
+    logger.info('Replaying response for idempotency key', { key, statusCode: entry.response.statusCode });
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(entry.response.statusCode).json(entry.response.body);
+  }
+
+  idempotencyStore.begin(key, fingerprint);
+
+  // Keep whatever the route responds with
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 500) {
+      idempotencyStore.abandon(key);
+    } else {
+      idempotencyStore.complete(key, res.statusCode, body);
+    }
+    return originalJson(body);
+  };
+  res.on('close', () => {
+    const current = idempotencyStore.get(key);
+    if (current && !current.response) {
+      idempotencyStore.abandon(key);
+    }
+  });
+
+  next();
+};
+
+module.exports = {
+  idempotencyStore,
+  idempotencyMiddleware
+};
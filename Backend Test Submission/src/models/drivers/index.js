@@ -0,0 +1,35 @@
+const MemoryDriver = require('./memoryDriver');
+const Journal = require('./journal');
+const { logger } = require('../../middleware/logger');
+
+// Every driver implements the same interface:
+//   create(urlData), get(shortcode), has(shortcode), update(shortcode, urlData),
+//   recordClick(shortcode, click, maxClicks),
+//   getClicks(shortcode), countClicks(shortcode), list(), count(), delete(shortcode),
+//   cleanup(shouldRemove)
+// and may implement recover() to restore state before the server starts.
+const drivers = {
+  memory: () => new MemoryDriver({
+    journal: process.env.JOURNAL_ENABLED === 'false' ? null : new Journal()
+  }),
+  sqlite: () => {
+    const SQLiteDriver = require('./sqliteDriver');
+    return new SQLiteDriver();
+  }
+};
+
+// Create the storage driver selected by STORAGE_DRIVER (defaults to memory)
+const createDriver = (name = process.env.STORAGE_DRIVER || 'memory') => {
+  const factory = drivers[name.toLowerCase()];
+  if (!factory) {
+    logger.error('Unknown storage driver', { driver: name, available: Object.keys(drivers) });
+    throw new Error(`Unknown storage driver "${name}". Available drivers: ${Object.keys(drivers).join(', ')}`);
+  }
+  return factory();
+};
+
+module.exports = {
+  createDriver,
+  MemoryDriver,
+  Journal
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('../../middleware/logger');
+
+// Append-only write-ahead journal for the memory driver.
+// Each line is a JSON entry { seq, op, data, checksum }. A snapshot file holds the
+// full state up to a sequence number; compaction writes a new snapshot and truncates
+// the journal, so recovery only ever replays snapshot + journal tail.
+class Journal {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.JOURNAL_DIR || path.join(__dirname, '../../../data/journal');
+    this.snapshotEvery = options.snapshotEvery || parseInt(process.env.JOURNAL_SNAPSHOT_EVERY, 10) || 1000;
+    this.fsync = options.fsync !== undefined ? options.fsync : process.env.JOURNAL_FSYNC !== 'false';
+    this.journalPath = path.join(this.dir, 'journal.log');
+    this.snapshotPath = path.join(this.dir, 'snapshot.json');
+    this.seq = 0;
+    this.entriesSinceSnapshot = 0;
+    this.fd = null;
+    this.ensureDirectory();
+  }
+
+  ensureDirectory() {
+    if (!fs.existsSync(this.dir)) {
+      fs.mkdirSync(this.dir, { recursive: true });
+    }
+  }
+
+  checksum(seq, op, data) {
+    return crypto.createHash('sha1').update(JSON.stringify([seq, op, data])).digest('hex').slice(0, 16);
+  }
+
+  open() {
+    if (this.fd === null) {
+      this.fd = fs.openSync(this.journalPath, 'a');
+    }
+    return this.fd;
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  // Append a mutation. Returns true when a snapshot is due.
+  append(op, data) {
+    const seq = ++this.seq;
+    const line = JSON.stringify({ seq, op, data, checksum: this.checksum(seq, op, data) }) + '\n';
+    const fd = this.open();
+    fs.writeSync(fd, line);
+    if (this.fsync) {
+      fs.fdatasyncSync(fd);
+    }
+    this.entriesSinceSnapshot++;
+    return this.entriesSinceSnapshot >= this.snapshotEvery;
+  }
+
+  // Read snapshot and journal from disk. Entries already covered by the snapshot,
+  // unparseable lines and checksum mismatches are skipped and reported.
+  // An unreadable snapshot is moved aside (snapshot.json.corrupt-<time>) so the next
+  // compaction can't overwrite the only copy of that state; its path is returned as
+  // quarantinedSnapshot. With readOnly nothing on disk is touched and an unreadable
+  // snapshot is only reported, as snapshotError.
+  load({ readOnly = false } = {}) {
+    const result = { snapshot: null, entries: [], skipped: [], quarantinedSnapshot: null, snapshotError: null };
+
+    if (fs.existsSync(this.snapshotPath)) {
+      try {
+        result.snapshot = JSON.parse(fs.readFileSync(this.snapshotPath, 'utf8'));
+      } catch (error) {
+        result.snapshotError = error.message;
+      }
+      if (result.snapshotError && readOnly) {
+        logger.warn('Journal snapshot is unreadable, reading the journal only', {
+          snapshotPath: this.snapshotPath,
+          error: result.snapshotError
+        });
+      } else if (result.snapshotError) {
+        result.quarantinedSnapshot = `${this.snapshotPath}.corrupt-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+        fs.renameSync(this.snapshotPath, result.quarantinedSnapshot);
+        logger.error('Journal snapshot is unreadable, moved aside and recovering from journal only', {
+          snapshotPath: this.snapshotPath,
+          quarantinedSnapshot: result.quarantinedSnapshot,
+          error: result.snapshotError
+        });
+      }
+    }
+
+    const snapshotSeq = result.snapshot ? result.snapshot.seq : 0;
+    let lastSeq = snapshotSeq;
+
+    if (fs.existsSync(this.journalPath)) {
+      const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+      lines.forEach((line, index) => {
+        if (!line.trim()) return;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          result.skipped.push({ line: index + 1, reason: 'unparseable entry (truncated write?)' });
+          return;
+        }
+
+        if (!entry || entry.checksum !== this.checksum(entry.seq, entry.op, entry.data)) {
+          result.skipped.push({ line: index + 1, seq: entry && entry.seq, reason: 'checksum mismatch' });
+          return;
+        }
+
+        if (entry.seq <= snapshotSeq) return; // already in snapshot
+
+        result.entries.push(entry);
+        lastSeq = Math.max(lastSeq, entry.seq);
+      });
+    }
+
+    this.seq = lastSeq;
+    return result;
+  }
+
+  // Persist full state and truncate the journal
+  compact(state) {
+    const snapshot = { seq: this.seq, createdAt: new Date().toISOString(), ...state };
+    const tmpPath = `${this.snapshotPath}.tmp`;
+
+    const fd = fs.openSync(tmpPath, 'w');
+    fs.writeSync(fd, JSON.stringify(snapshot));
+    fs.fsyncSync(fd);
+    fs.closeSync(fd);
+    fs.renameSync(tmpPath, this.snapshotPath);
+
+    // Snapshot is durable, so journal entries up to seq can go
+    this.close();
+    fs.writeFileSync(this.journalPath, '');
+    this.entriesSinceSnapshot = 0;
+
+    logger.info('Journal compacted', { seq: this.seq, snapshotPath: this.snapshotPath });
+    return snapshot;
+  }
+}
+
+module.exports = Journal;
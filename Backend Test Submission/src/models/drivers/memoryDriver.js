@@ -0,0 +1,181 @@
+const { logger } = require('../../middleware/logger');
+
+// In-process storage driver. Everything lives in two Maps; pass a Journal to make
+// mutations survive restarts (see journal.js and recover()).
+class MemoryDriver {
+  constructor(options = {}) {
+    this.name = 'memory';
+    this.urls = new Map(); // shortcode -> url data
+    this.clicks = new Map(); // shortcode -> array of click data
+    this.journal = options.journal || null;
+    logger.info('Memory storage driver initialized', { journal: Boolean(this.journal) });
+  }
+
+  // Journal a mutation before applying it, compacting when a snapshot is due
+  commit(op, data) {
+    const snapshotDue = this.journal ? this.journal.append(op, data) : false;
+    const result = this.apply(op, data);
+    if (snapshotDue) {
+      this.journal.compact(this.exportState());
+    }
+    return result;
+  }
+
+  // Apply a mutation to the Maps (used for live writes and journal replay)
+  apply(op, data) {
+    switch (op) {
+      case 'create':
+        this.urls.set(data.shortcode, data);
+        this.clicks.set(data.shortcode, []);
+        return data;
+      case 'update':
+        this.urls.set(data.shortcode, data);
+        return data;
+      case 'click': {
+        const clicks = this.clicks.get(data.shortcode) || [];
+        clicks.push(data.click);
+        this.clicks.set(data.shortcode, clicks);
+        return data.click;
+      }
+      case 'delete':
+        this.clicks.delete(data.shortcode);
+        return this.urls.delete(data.shortcode);
+      case 'cleanup':
+        data.shortcodes.forEach(shortcode => {
+          this.urls.delete(shortcode);
+          this.clicks.delete(shortcode);
+        });
+        return data.shortcodes;
+      default:
+        throw new Error(`Unknown journal operation "${op}"`);
+    }
+  }
+
+  exportState() {
+    return {
+      urls: Array.from(this.urls.values()),
+      clicks: Array.from(this.clicks.entries())
+    };
+  }
+
+  // Rebuild the Maps from snapshot + journal. Returns a recovery report.
+  // readOnly leaves the files as they are, for tools reading the state of a running server:
+  // no quarantine of an unreadable snapshot and no compaction, which would drop entries
+  // the server appends meanwhile.
+  recover({ readOnly = false } = {}) {
+    if (!this.journal) {
+      return { restoredUrls: 0, replayedEntries: 0, skippedEntries: [], quarantinedSnapshot: null, snapshotError: null };
+    }
+
+    const { snapshot, entries, skipped, quarantinedSnapshot, snapshotError } = this.journal.load({ readOnly });
+
+    this.urls.clear();
+    this.clicks.clear();
+    if (snapshot) {
+      snapshot.urls.forEach(urlData => this.urls.set(urlData.shortcode, urlData));
+      snapshot.clicks.forEach(([shortcode, clicks]) => this.clicks.set(shortcode, clicks));
+    }
+
+    let replayed = 0;
+    entries.forEach(entry => {
+      try {
+        this.apply(entry.op, entry.data);
+        replayed++;
+      } catch (error) {
+        skipped.push({ seq: entry.seq, reason: error.message });
+      }
+    });
+
+    if (skipped.length > 0) {
+      logger.warn('Skipped corrupt journal entries during recovery', { skipped });
+    }
+
+    // Start from a clean snapshot so new appends never follow a torn line. An unreadable
+    // snapshot was moved aside by load(), so this never replaces it.
+    if (!readOnly) {
+      this.journal.compact(this.exportState());
+    }
+
+    const report = {
+      restoredUrls: this.urls.size,
+      replayedEntries: replayed,
+      skippedEntries: skipped,
+      quarantinedSnapshot,
+      snapshotError
+    };
+    logger.info('Memory storage recovered from journal', {
+      restoredUrls: report.restoredUrls,
+      replayedEntries: report.replayedEntries,
+      skippedEntries: skipped.length
+    });
+    return report;
+  }
+
+  // Store a new URL record with an empty click history
+  create(urlData) {
+    return this.commit('create', urlData);
+  }
+
+  // Get URL record by shortcode
+  get(shortcode) {
+    return this.urls.get(shortcode) || null;
+  }
+
+  // Check if shortcode exists
+  has(shortcode) {
+    return this.urls.has(shortcode);
+  }
+
+  // Replace a URL record, keeping its click history
+  update(shortcode, urlData) {
+    if (!this.urls.has(shortcode)) return null;
+    return this.commit('update', { ...urlData, shortcode });
+  }
+
+  // Append a click record. With maxClicks, returns null instead once the limit is reached;
+  // the check and the append run synchronously so concurrent requests can't overshoot.
+  recordClick(shortcode, clickRecord, maxClicks = null) {
+    if (maxClicks !== null && this.countClicks(shortcode) >= maxClicks) {
+      return null;
+    }
+    return this.commit('click', { shortcode, click: clickRecord });
+  }
+
+  // Get click history for a shortcode
+  getClicks(shortcode) {
+    return this.clicks.get(shortcode) || [];
+  }
+
+  // Count clicks for a shortcode
+  countClicks(shortcode) {
+    return this.getClicks(shortcode).length;
+  }
+
+  // List all URL records
+  list() {
+    return Array.from(this.urls.values());
+  }
+
+  // Number of URL records
+  count() {
+    return this.urls.size;
+  }
+
+  // Remove a URL record and its clicks
+  delete(shortcode) {
+    if (!this.urls.has(shortcode)) return false;
+    return this.commit('delete', { shortcode });
+  }
+
+  // Remove every record matching the predicate, returns removed shortcodes
+  cleanup(shouldRemove) {
+    const shortcodes = this.list()
+      .filter(urlData => shouldRemove(urlData))
+      .map(urlData => urlData.shortcode);
+
+    if (shortcodes.length === 0) return [];
+    return this.commit('cleanup', { shortcodes });
+  }
+}
+
+module.exports = MemoryDriver;
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../../middleware/logger');
+
+// File-backed storage driver. URL and click records are stored as JSON documents
+// keyed by shortcode, so new record fields need no schema migration.
+class SQLiteDriver {
+  constructor(filePath = process.env.SQLITE_PATH || path.join(__dirname, '../../../data/urls.db')) {
+    // Loaded lazily so the native module is only needed when this driver is selected
+    const Database = require('better-sqlite3');
+
+    this.name = 'sqlite';
+    this.filePath = filePath;
+    this.ensureDirectory();
+
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS urls (
+        shortcode TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS clicks (
+        id TEXT PRIMARY KEY,
+        shortcode TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_clicks_shortcode ON clicks (shortcode);
+    `);
+
+    this.statements = {
+      insertUrl: this.db.prepare('INSERT INTO urls (shortcode, data) VALUES (?, ?)'),
+      getUrl: this.db.prepare('SELECT data FROM urls WHERE shortcode = ?'),
+      updateUrl: this.db.prepare('UPDATE urls SET data = ? WHERE shortcode = ?'),
+      hasUrl: this.db.prepare('SELECT 1 FROM urls WHERE shortcode = ?'),
+      listUrls: this.db.prepare('SELECT data FROM urls ORDER BY rowid'),
+      countUrls: this.db.prepare('SELECT COUNT(*) AS count FROM urls'),
+      deleteUrl: this.db.prepare('DELETE FROM urls WHERE shortcode = ?'),
+      insertClick: this.db.prepare('INSERT INTO clicks (id, shortcode, data) VALUES (?, ?, ?)'),
+      getClicks: this.db.prepare('SELECT data FROM clicks WHERE shortcode = ? ORDER BY rowid'),
+      countClicks: this.db.prepare('SELECT COUNT(*) AS count FROM clicks WHERE shortcode = ?'),
+      deleteClicks: this.db.prepare('DELETE FROM clicks WHERE shortcode = ?')
+    };
+
+    logger.info('SQLite storage driver initialized', { filePath: this.filePath });
+  }
+
+  ensureDirectory() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+  }
+
+  // Store a new URL record. Another process may have claimed the shortcode since it was
+  // checked; that surfaces as the same SHORTCODE_TAKEN error URLStorage uses.
+  create(urlData) {
+    try {
+      this.statements.insertUrl.run(urlData.shortcode, JSON.stringify(urlData));
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') {
+        throw Object.assign(new Error('Shortcode already exists. Please choose a different one.'), { code: 'SHORTCODE_TAKEN' });
+      }
+      throw error;
+    }
+    return urlData;
+  }
+
+  // Get URL record by shortcode
+  get(shortcode) {
+    const row = this.statements.getUrl.get(shortcode);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  // Check if shortcode exists
+  has(shortcode) {
+    return Boolean(this.statements.hasUrl.get(shortcode));
+  }
+
+  // Replace a URL record, keeping its click history
+  update(shortcode, urlData) {
+    const record = { ...urlData, shortcode };
+    const { changes } = this.statements.updateUrl.run(JSON.stringify(record), shortcode);
+    return changes > 0 ? record : null;
+  }
+
+  // Append a click record. With maxClicks, returns null instead once the limit is reached;
+  // count and insert share an IMMEDIATE transaction so other processes can't interleave.
+  recordClick(shortcode, clickRecord, maxClicks = null) {
+    const insertClick = this.db.transaction(() => {
+      if (maxClicks !== null && this.countClicks(shortcode) >= maxClicks) {
+        return null;
+      }
+      this.statements.insertClick.run(clickRecord.id, shortcode, JSON.stringify(clickRecord));
+      return clickRecord;
+    });
+    return insertClick.immediate();
+  }
+
+  // Get click history for a shortcode
+  getClicks(shortcode) {
+    return this.statements.getClicks.all(shortcode).map(row => JSON.parse(row.data));
+  }
+
+  // Count clicks for a shortcode
+  countClicks(shortcode) {
+    return this.statements.countClicks.get(shortcode).count;
+  }
+
+  // List all URL records
+  list() {
+    return this.statements.listUrls.all().map(row => JSON.parse(row.data));
+  }
+
+  // Number of URL records
+  count() {
+    return this.statements.countUrls.get().count;
+  }
+
+  // Remove a URL record and its clicks
+  delete(shortcode) {
+    const removeRecord = this.db.transaction((code) => {
+      this.statements.deleteClicks.run(code);
+      return this.statements.deleteUrl.run(code).changes > 0;
+    });
+    return removeRecord(shortcode);
+  }
+
+  // Remove every record matching the predicate, returns removed shortcodes
+  cleanup(shouldRemove) {
+    const removeMatching = this.db.transaction(() => {
+      const removed = [];
+      for (const urlData of this.list()) {
+        if (shouldRemove(urlData)) {
+          this.statements.deleteClicks.run(urlData.shortcode);
+          this.statements.deleteUrl.run(urlData.shortcode);
+          removed.push(urlData.shortcode);
+        }
+      }
+      return removed;
+    });
+    return removeMatching();
+  }
+}
+
+module.exports = SQLiteDriver;
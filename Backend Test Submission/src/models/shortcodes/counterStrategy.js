@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const { getLengthForFill } = require('./keyspace');
+
+// Collision-free codes from an increasing counter. Each counter value is scrambled by a
+// bijection on the keyspace of its length, id -> (id * multiplier + offset) mod size,
+// so consecutive links don't get guessable neighbouring codes. The multiplier and offset
+// derive from SHORTCODE_SECRET; this hides the sequence from casual guessing but is
+// not encryption.
+//
+// The counter isn't stored: init() decodes the codes this strategy generated before and
+// continues after the highest one. Lengths grow once the counter passes maxFillRatio of the keyspace.
+class CounterStrategy {
+  constructor({ alphabet, minLength, maxFillRatio, secret }) {
+    this.name = 'counter';
+    this.alphabet = alphabet;
+    this.base = BigInt(alphabet.length);
+    this.minLength = minLength;
+    this.maxFillRatio = maxFillRatio;
+    this.counter = 0;
+
+    const digest = crypto.createHash('sha256').update(secret).digest();
+    // Odd and coprime with the alphabet size, so the mapping is a bijection for every length
+    let multiplier = digest.readBigUInt64BE(0) | 1n;
+    while (gcd(multiplier, this.base) !== 1n) {
+      multiplier += 2n;
+    }
+    this.multiplier = multiplier;
+    this.offset = digest.readBigUInt64BE(8);
+  }
+
+  // Continue after the highest counter value among the existing codes
+  init(shortcodes) {
+    shortcodes.forEach(code => {
+      const id = this.decode(code);
+      if (id !== null && id >= this.counter) {
+        this.counter = id + 1;
+      }
+    });
+  }
+
+  getLength(id) {
+    return getLengthForFill(id, {
+      alphabetSize: this.alphabet.length,
+      minLength: this.minLength,
+      maxFillRatio: this.maxFillRatio
+    });
+  }
+
+  encode(id) {
+    const length = this.getLength(id);
+    const size = this.base ** BigInt(length);
+    let value = (BigInt(id) * this.multiplier + this.offset) % size;
+
+    let code = '';
+    for (let i = 0; i < length; i++) {
+      code = this.alphabet[Number(value % this.base)] + code;
+      value /= this.base;
+    }
+    return code;
+  }
+
+  // Counter value behind a code, or null if this strategy can't have produced it
+  decode(code) {
+    if (code.length < this.minLength) return null;
+
+    let value = 0n;
+    for (const char of code) {
+      const digit = this.alphabet.indexOf(char);
+      if (digit === -1) return null;
+      value = value * this.base + BigInt(digit);
+    }
+
+    const size = this.base ** BigInt(code.length);
+    const inverse = modInverse(this.multiplier % size, size);
+    const id = Number((((value - this.offset) % size + size) % size) * inverse % size);
+    return this.getLength(id) === code.length ? id : null;
+  }
+
+  // The link count is not needed: the counter already tracks every code handed out
+  generate() {
+    const code = this.encode(this.counter);
+    this.counter++;
+    return code;
+  }
+}
+
+const gcd = (a, b) => (b === 0n ? a : gcd(b, a % b));
+
+const modInverse = (value, modulus) => {
+  let [oldR, r] = [value, modulus];
+  let [oldS, s] = [1n, 0n];
+  while (r !== 0n) {
+    const quotient = oldR / r;
+    [oldR, r] = [r, oldR - quotient * r];
+    [oldS, s] = [s, oldS - quotient * s];
+  }
+  return ((oldS % modulus) + modulus) % modulus;
+};
+
+module.exports = CounterStrategy;
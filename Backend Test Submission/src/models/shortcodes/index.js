@@ -0,0 +1,53 @@
+const RandomStrategy = require('./randomStrategy');
+const CounterStrategy = require('./counterStrategy');
+const { ALPHABETS, validateAlphabet } = require('./keyspace');
+const { logger } = require('../../middleware/logger');
+
+// Every strategy implements the same interface:
+//   init(shortcodes)         - called once before the first generate() with the codes
+//                              this strategy generated earlier
+//   generate(linkCount)      - next candidate code; URLStorage retries taken ones
+//
+// Configuration:
+//   SHORTCODE_STRATEGY        random (default), readable or counter
+//   SHORTCODE_MIN_LENGTH      shortest generated code, default 6
+//   SHORTCODE_ALPHABET        custom alphabet (letters and digits) for random and counter
+//   SHORTCODE_MAX_FILL_RATIO  keyspace share in use before codes get longer, default 0.001
+//   SHORTCODE_SECRET          scrambles the counter strategy's sequence
+const strategies = {
+  random: (config) => new RandomStrategy(config),
+  // random over an alphabet without lookalike characters, for codes people read or type
+  readable: (config) => new RandomStrategy({ ...config, name: 'readable', alphabet: ALPHABETS.readable }),
+  counter: (config) => new CounterStrategy(config)
+};
+
+// Create the shortcode strategy selected by SHORTCODE_STRATEGY
+const createShortcodeStrategy = (name = process.env.SHORTCODE_STRATEGY || 'random') => {
+  const factory = strategies[name.toLowerCase()];
+  if (!factory) {
+    logger.error('Unknown shortcode strategy', { strategy: name, available: Object.keys(strategies) });
+    throw new Error(`Unknown shortcode strategy "${name}". Available strategies: ${Object.keys(strategies).join(', ')}`);
+  }
+
+  const alphabet = process.env.SHORTCODE_ALPHABET || ALPHABETS.base62;
+  const alphabetError = validateAlphabet(alphabet);
+  if (alphabetError) {
+    throw new Error(`Invalid SHORTCODE_ALPHABET: ${alphabetError}`);
+  }
+
+  const maxFillRatio = parseFloat(process.env.SHORTCODE_MAX_FILL_RATIO);
+  const strategy = factory({
+    alphabet,
+    minLength: Math.max(3, parseInt(process.env.SHORTCODE_MIN_LENGTH, 10) || 6),
+    maxFillRatio: maxFillRatio > 0 && maxFillRatio <= 1 ? maxFillRatio : 0.001,
+    secret: process.env.SHORTCODE_SECRET || 'url-shortener'
+  });
+
+  logger.info('Shortcode strategy selected', { strategy: strategy.name, minLength: strategy.minLength });
+  return strategy;
+};
+
+module.exports = {
+  createShortcodeStrategy,
+  ALPHABETS
+};
@@ -0,0 +1,37 @@
+// Alphabets and keyspace sizing shared by the shortcode strategies
+
+const ALPHABETS = {
+  base62: 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789',
+  // base62 without the lookalikes 0/O and 1/l/I
+  readable: 'abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+};
+
+// Custom alphabets must stay within what isValidShortcode accepts for custom codes
+const validateAlphabet = (alphabet) => {
+  if (typeof alphabet !== 'string' || !/^[a-zA-Z0-9]+$/.test(alphabet)) {
+    return 'alphabet must contain only letters and digits';
+  }
+  if (new Set(alphabet).size !== alphabet.length) {
+    return 'alphabet must not repeat characters';
+  }
+  if (alphabet.length < 10) {
+    return 'alphabet must have at least 10 characters';
+  }
+  return null;
+};
+
+// Shortest length from minLength up whose keyspace (alphabetSize ^ length) is filled to
+// at most maxFillRatio by `used` codes
+const getLengthForFill = (used, { alphabetSize, minLength, maxFillRatio }) => {
+  let length = minLength;
+  while (used >= maxFillRatio * alphabetSize ** length) {
+    length++;
+  }
+  return length;
+};
+
+module.exports = {
+  ALPHABETS,
+  validateAlphabet,
+  getLengthForFill
+};
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const { getLengthForFill } = require('./keyspace');
+
+// Uniformly random codes from a CSPRNG. The length grows once the existing links fill
+// more than maxFillRatio of the keyspace, which keeps the chance of a collision (and
+// so of a retry) per attempt below maxFillRatio.
+class RandomStrategy {
+  constructor({ name = 'random', alphabet, minLength, maxFillRatio }) {
+    this.name = name;
+    this.alphabet = alphabet;
+    this.minLength = minLength;
+    this.maxFillRatio = maxFillRatio;
+  }
+
+  // Random codes don't depend on earlier ones
+  init() {}
+
+  getLength(linkCount) {
+    return getLengthForFill(linkCount, {
+      alphabetSize: this.alphabet.length,
+      minLength: this.minLength,
+      maxFillRatio: this.maxFillRatio
+    });
+  }
+
+  generate(linkCount) {
+    const length = this.getLength(linkCount);
+    let code = '';
+    for (let i = 0; i < length; i++) {
+      code += this.alphabet[crypto.randomInt(this.alphabet.length)];
+    }
+    return code;
+  }
+}
+
+module.exports = RandomStrategy;
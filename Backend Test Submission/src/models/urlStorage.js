@@ -1,45 +1,183 @@
 const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../middleware/logger');
+const { createDriver } = require('./drivers');
+const { createShortcodeStrategy } = require('./shortcodes');
+const { hashPassword, verifyPassword } = require('../utils/linkPassword');
+const { isValidRedirectType, isPermanentRedirect } = require('../utils/helpers');
+const { canonicalizeURL } = require('../utils/canonicalUrl');
+const { checkShortcode } = require('../utils/shortcodePolicy');
+const { isRequestSpecific } = require('../utils/queryPolicy');
+
+// Aliases one link may have besides its own shortcode, see addAlias
+const MAX_ALIASES = 20;
+
+// Stored fields that make a link behave differently from a plain redirect; dedupe only
+// hands out links that have none of them set, see findReusableLink
+const LINK_SETTINGS = [
+  'startsAt', 'maxClicks', 'fallbackUrl', 'redirectType', 'queryPolicy', 'geoRules', 'deviceRules',
+  'scheduleRules', 'variants', 'interstitial', 'passwordHash'
+];
+
+// Codes of the errors createShortURL and addAlias throw for a shortcode or alias the
+// caller may not have; anything else they throw is a failure of the storage itself
+const REJECTION_CODES = new Set([
+  'INVALID_SHORTCODE', 'SHORTCODE_TAKEN', 'RESERVED_SHORTCODE', 'BLOCKED_SHORTCODE', 'PROFANE_SHORTCODE', 'TOO_MANY_ALIASES'
+]);
+
+// Fields updateShortURL copies as-is; expiresAt is handled separately
+const EDITABLE_FIELDS = ['originalUrl', 'isActive', 'startsAt', 'maxClicks', 'fallbackUrl', 'redirectType', 'queryPolicy', 'geoRules', 'deviceRules', 'scheduleRules', 'variants', 'stickyVariants', 'interstitial'];
 
 class URLStorage {
-  constructor() {
-    this.urls = new Map(); // shortcode -> url data
-    this.clicks = new Map(); // shortcode -> array of click data
-    logger.info('URL Storage initialized');
+  constructor(driver = createDriver(), shortcodes = createShortcodeStrategy()) {
+    this.driver = driver; // persistence backend, see drivers/index.js
+    this.shortcodes = shortcodes; // code generator, see shortcodes/index.js
+    this.shortcodesReady = false;
+    // Case-insensitive shortcodes: /AbC, /abc and /ABC are one link, stored with the case
+    // it was created with. Check for existing collisions before switching this on, see
+    // findCaseCollisions and scripts/check-case-collisions.js.
+    this.caseInsensitive = process.env.SHORTCODE_CASE_INSENSITIVE === 'true';
+    this.shortcodeIndex = null; // shortcodes and aliases by lookup key, built on first lookup
+    this.softDeleteRetentionMinutes = parseInt(process.env.SOFT_DELETE_RETENTION_MINUTES, 10) || 7 * 24 * 60;
+    this.archiveRetentionMinutes = parseInt(process.env.ARCHIVE_RETENTION_MINUTES, 10) || 30 * 24 * 60;
+    this.defaultRedirectType = parseInt(process.env.DEFAULT_REDIRECT_STATUS, 10) || 302;
+    if (!isValidRedirectType(this.defaultRedirectType)) {
+      logger.warn('Invalid DEFAULT_REDIRECT_STATUS, falling back to 302', { value: process.env.DEFAULT_REDIRECT_STATUS });
+      this.defaultRedirectType = 302;
+    }
+    logger.info('URL Storage initialized', { driver: driver.name });
+  }
+
+  // Restore persisted state (journal replay for the memory driver). With readOnly the
+  // driver's files are left untouched, see MemoryDriver.recover.
+  recover({ readOnly = false } = {}) {
+    if (typeof this.driver.recover !== 'function') {
+      return null;
+    }
+    this.shortcodeIndex = null;
+    return this.driver.recover({ readOnly });
+  }
+
+  // Key two shortcodes share when they name the same link
+  getLookupKey(shortcode) {
+    return this.caseInsensitive && typeof shortcode === 'string' ? shortcode.toLowerCase() : shortcode;
   }
 
-  // Generate a random shortcode
-  generateShortcode(length = 6) {
-    const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-    let result = '';
-    for (let i = 0; i < length; i++) {
-      result += chars.charAt(Math.floor(Math.random() * chars.length));
+  // Every shortcode a record answers to: its own, then its aliases, as
+  // [{ shortcode, createdAt, aliasOf }] where aliasOf is null for the record's own code
+  listRecordCodes(urlData) {
+    return [
+      { shortcode: urlData.shortcode, createdAt: urlData.createdAt, aliasOf: null },
+      ...(urlData.aliases || []).map(alias => ({ shortcode: alias.shortcode, createdAt: alias.createdAt, aliasOf: urlData.shortcode }))
+    ];
+  }
+
+  // Index of every shortcode and alias by lookup key -> { shortcode, alias }, where
+  // shortcode is the record's own code and alias the stored spelling that was matched.
+  // Where codes collide when case is ignored, the oldest keeps the key and the others
+  // can't be reached.
+  getShortcodeIndex() {
+    if (!this.shortcodeIndex) {
+      this.shortcodeIndex = new Map();
+      const codes = this.driver.list().flatMap(urlData => this.listRecordCodes(urlData));
+      codes.sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1)).forEach(code => {
+        const key = this.getLookupKey(code.shortcode);
+        if (!this.shortcodeIndex.has(key)) {
+          this.shortcodeIndex.set(key, { shortcode: code.aliasOf || code.shortcode, alias: code.shortcode });
+        }
+      });
+
+      const collisions = this.caseInsensitive ? this.findCaseCollisions() : [];
+      if (collisions.length > 0) {
+        logger.warn('Shortcodes collide when case is ignored; the oldest code of each group wins', {
+          collisions: collisions.map(({ key, shortcodes }) => ({ key, shortcodes: shortcodes.map(code => code.shortcode) }))
+        });
+      }
+    }
+    return this.shortcodeIndex;
+  }
+
+  // Record a requested shortcode or alias refers to, as { shortcode, alias } (see
+  // getShortcodeIndex), or null when none does
+  resolveAlias(shortcode) {
+    if (typeof shortcode !== 'string') return null;
+    if (!this.caseInsensitive && this.driver.has(shortcode)) {
+      return { shortcode, alias: shortcode };
+    }
+
+    const index = this.getShortcodeIndex();
+    const key = this.getLookupKey(shortcode);
+    const entry = index.get(key);
+    if (!entry) return null;
+
+    // The record may have been purged, or the alias removed, since the entry was added
+    const urlData = this.driver.get(entry.shortcode);
+    if (urlData && this.listRecordCodes(urlData).some(code => code.shortcode === entry.alias)) {
+      return entry;
     }
-    return result;
+    index.delete(key);
+    return null;
+  }
+
+  // Stored shortcode of the record a requested shortcode or alias refers to, or the
+  // request unchanged when there is none
+  resolveStoredShortcode(shortcode) {
+    const entry = this.resolveAlias(shortcode);
+    return entry ? entry.shortcode : shortcode;
+  }
+
+  // Shortcodes and aliases that would name the same link if case were ignored, as
+  // [{ key, shortcodes: [{ shortcode, aliasOf, createdAt, status }] }], oldest code first.
+  // Works in either mode, so collisions can be found before case-insensitive lookups are
+  // switched on.
+  findCaseCollisions() {
+    const groups = new Map();
+    this.driver.list().forEach(urlData => {
+      const status = this.getLinkStatus(urlData);
+      this.listRecordCodes(urlData).forEach(code => {
+        const key = code.shortcode.toLowerCase();
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push({ shortcode: code.shortcode, aliasOf: code.aliasOf, createdAt: code.createdAt, status });
+      });
+    });
+
+    return Array.from(groups.entries())
+      .filter(([, codes]) => codes.length > 1)
+      .map(([key, codes]) => ({
+        key,
+        shortcodes: codes.sort((a, b) => (a.createdAt < b.createdAt ? -1 : 1))
+      }))
+      .sort((a, b) => (a.key < b.key ? -1 : 1));
   }
 
   // Check if shortcode exists
   shortcodeExists(shortcode) {
-    return this.urls.has(shortcode);
+    return this.driver.has(this.resolveStoredShortcode(shortcode));
   }
 
-  // Generate unique shortcode
+  // Generate unique shortcode with the configured strategy. Strategies lengthen codes as
+  // the keyspace fills, so a few attempts are enough; running out means something is wrong.
   generateUniqueShortcode() {
-    let shortcode;
-    let attempts = 0;
-    const maxAttempts = 100;
-    
-    do {
-      shortcode = this.generateShortcode();
-      attempts++;
-      if (attempts > maxAttempts) {
-        shortcode = this.generateShortcode(8); // Increase length if too many collisions
-        break;
+    const maxAttempts = 10;
+
+    if (!this.shortcodesReady) {
+      this.shortcodes.init(this.driver.list()
+        .flatMap(urlData => [urlData, ...(urlData.aliases || [])])
+        .filter(code => code.shortcodeStrategy === this.shortcodes.name)
+        .map(code => code.shortcode));
+      this.shortcodesReady = true;
+    }
+
+    const linkCount = this.driver.count();
+    for (let attempts = 1; attempts <= maxAttempts; attempts++) {
+      const shortcode = this.shortcodes.generate(linkCount);
+      if (!checkShortcode(shortcode) && !this.shortcodeExists(shortcode)) {
+        logger.info('Generated unique shortcode', { shortcode, attempts, strategy: this.shortcodes.name });
+        return shortcode;
       }
-    } while (this.shortcodeExists(shortcode));
-    
-    logger.info('Generated unique shortcode', { shortcode, attempts });
-    return shortcode;
+    }
+
+    logger.error('Could not generate a unique shortcode', { strategy: this.shortcodes.name, maxAttempts, linkCount });
+    throw new Error(`Could not generate a unique shortcode after ${maxAttempts} attempts`);
   }
 
   // Validate shortcode format
@@ -49,17 +187,94 @@ class URLStorage {
     return /^[a-zA-Z0-9]+$/.test(shortcode);
   }
 
-  // Create short URL
-  createShortURL(originalUrl, validityMinutes = 30, customShortcode = null) {
+  // Why a custom shortcode can't be used, as { code, message }, or null if it can
+  getShortcodeRejection(shortcode) {
+    if (!this.isValidShortcode(shortcode)) {
+      return { code: 'INVALID_SHORTCODE', message: 'Invalid shortcode format. Use alphanumeric characters, 3-20 length.' };
+    }
+    const policyRejection = checkShortcode(shortcode);
+    if (policyRejection) {
+      return policyRejection;
+    }
+    if (this.shortcodeExists(shortcode)) {
+      return { code: 'SHORTCODE_TAKEN', message: 'Shortcode already exists. Please choose a different one.' };
+    }
+    return null;
+  }
+
+  // Whether an error from createShortURL or addAlias rejects the requested shortcode or
+  // alias, as opposed to e.g. a disk or database error
+  isShortcodeRejection(error) {
+    return REJECTION_CODES.has(error.code);
+  }
+
+  // Whether a custom shortcode can be claimed: status is free, taken, reserved (route
+  // name, blocklist, profanity) or invalid. Unless free, suggests up to `limit` codes
+  // that are, closest first.
+  getShortcodeAvailability(shortcode, limit = 5) {
+    const rejection = this.getShortcodeRejection(shortcode);
+    let status = 'free';
+    if (rejection) {
+      status = {
+        INVALID_SHORTCODE: 'invalid',
+        SHORTCODE_TAKEN: 'taken'
+      }[rejection.code] || 'reserved';
+    }
+
+    return {
+      shortcode,
+      status,
+      available: !rejection,
+      reason: rejection,
+      alternatives: rejection ? this.suggestShortcodes(shortcode, limit) : []
+    };
+  }
+
+  // Free codes close to the requested one, best first: the same letters in another case,
+  // then a digit suffix, then the year, then two-digit suffixes. Characters a custom code
+  // can't contain are dropped first, so "my-link" suggests "mylink".
+  suggestShortcodes(shortcode, limit = 5) {
+    const base = String(shortcode).replace(/[^a-zA-Z0-9]/g, '').slice(0, 20);
+    if (!base) return [];
+
+    const withSuffix = (suffix) => base.slice(0, 20 - suffix.length) + suffix;
+    const capitalized = base.charAt(0).toUpperCase() + base.slice(1).toLowerCase();
+    const candidates = [
+      base,
+      base.toLowerCase(),
+      capitalized,
+      base.toUpperCase(),
+      ...['1', '2', '3', '4', '5', '6', '7', '8', '9'].map(withSuffix),
+      withSuffix(String(new Date().getFullYear())),
+      ...Array.from({ length: 90 }, (_, i) => withSuffix(String(i + 10)))
+    ];
+
+    const suggestions = [];
+    for (const candidate of new Set(candidates)) {
+      if (suggestions.length >= limit) break;
+      if (candidate !== shortcode && !this.getShortcodeRejection(candidate)) {
+        suggestions.push(candidate);
+      }
+    }
+    return suggestions;
+  }
+
+  // Create short URL. options: { maxClicks, expiresAt, startsAt, fallbackUrl, redirectType,
+  // queryPolicy, geoRules, deviceRules, scheduleRules, variants, stickyVariants, interstitial,
+  // password }
+  // The password is only ever stored as a hash.
+  // expiresAt overrides validityMinutes with an absolute ISO time, or null for no expiry.
+  // startsAt delays activation until the given ISO time.
+  // originalUrl is stored in canonical form (see utils/canonicalUrl.js).
+  createShortURL(originalUrl, validityMinutes = 30, customShortcode = null, options = {}) {
     try {
       let shortcode;
+      originalUrl = canonicalizeURL(originalUrl);
       
       if (customShortcode) {
-        if (!this.isValidShortcode(customShortcode)) {
-          throw new Error('Invalid shortcode format. Use alphanumeric characters, 3-20 length.');
-        }
-        if (this.shortcodeExists(customShortcode)) {
-          throw new Error('Shortcode already exists. Please choose a different one.');
+        const rejection = this.getShortcodeRejection(customShortcode);
+        if (rejection) {
+          throw Object.assign(new Error(rejection.message), { code: rejection.code });
         }
         shortcode = customShortcode;
       } else {
@@ -67,26 +282,48 @@ class URLStorage {
       }
 
       const now = new Date();
-      const expiry = new Date(now.getTime() + validityMinutes * 60 * 1000);
+      const expiresAt = options.expiresAt !== undefined
+        ? options.expiresAt
+        : new Date(now.getTime() + validityMinutes * 60 * 1000).toISOString();
       
       const urlData = {
         id: uuidv4(),
         originalUrl,
         shortcode,
+        shortcodeStrategy: customShortcode ? null : this.shortcodes.name,
+        aliases: [],
         createdAt: now.toISOString(),
-        expiresAt: expiry.toISOString(),
-        validityMinutes,
-        isActive: true
+        startsAt: options.startsAt || null,
+        expiresAt,
+        validityMinutes: expiresAt === null ? null : validityMinutes,
+        isActive: true,
+        deletedAt: null,
+        archivedAt: null,
+        maxClicks: options.maxClicks || null,
+        fallbackUrl: options.fallbackUrl || null,
+        redirectType: options.redirectType || null,
+        queryPolicy: options.queryPolicy || null,
+        geoRules: options.geoRules || null,
+        deviceRules: options.deviceRules || null,
+        scheduleRules: options.scheduleRules || null,
+        variants: options.variants || null,
+        stickyVariants: Boolean(options.stickyVariants),
+        interstitial: Boolean(options.interstitial),
+        passwordHash: options.password ? hashPassword(options.password) : null
       };
 
-      this.urls.set(shortcode, urlData);
-      this.clicks.set(shortcode, []);
+      this.driver.create(urlData);
+      if (this.shortcodeIndex) {
+        this.shortcodeIndex.set(this.getLookupKey(shortcode), { shortcode, alias: shortcode });
+      }
       
       logger.info('Short URL created', { 
         shortcode, 
         originalUrl, 
-        validityMinutes,
-        expiresAt: expiry.toISOString()
+        validityMinutes: urlData.validityMinutes,
+        startsAt: urlData.startsAt,
+        expiresAt,
+        maxClicks: urlData.maxClicks
       });
       
       return urlData;
@@ -100,41 +337,332 @@ class URLStorage {
     }
   }
 
-  // Get URL data by shortcode
-  getURLData(shortcode) {
-    const urlData = this.urls.get(shortcode);
+  // Request fields an edit (PATCH) accepts, as named in the API
+  getEditableFields() {
+    return [
+      'url',
+      ...EDITABLE_FIELDS.filter(field => field !== 'originalUrl'),
+      'validity',
+      'expiresAt',
+      'neverExpires',
+      'password'
+    ];
+  }
+
+  // Update mutable fields of an existing URL. Click history is left untouched.
+  updateShortURL(shortcode, changes) {
+    shortcode = this.resolveStoredShortcode(shortcode);
+    const urlData = this.driver.get(shortcode);
     if (!urlData) {
-      logger.warn('URL not found', { shortcode });
+      logger.warn('Update requested for non-existent URL', { shortcode });
       return null;
     }
 
-    // Check if expired
-    const now = new Date();
-    const expiry = new Date(urlData.expiresAt);
-    
-    if (now > expiry) {
-      logger.info('URL expired', { shortcode, expiresAt: urlData.expiresAt });
+    const updated = { ...urlData, updatedAt: new Date().toISOString() };
+
+    EDITABLE_FIELDS.forEach(field => {
+      if (changes[field] !== undefined) {
+        updated[field] = changes[field];
+      }
+    });
+    if (changes.originalUrl !== undefined) {
+      updated.originalUrl = canonicalizeURL(changes.originalUrl);
+    }
+    if (changes.expiresAt !== undefined) {
+      updated.expiresAt = changes.expiresAt === null ? null : new Date(changes.expiresAt).toISOString();
+    }
+    if (changes.expiresAt !== undefined || changes.startsAt !== undefined) {
+      // Validity counts from activation, as on create
+      const activation = new Date(updated.startsAt || updated.createdAt);
+      updated.validityMinutes = updated.expiresAt === null
+        ? null
+        : Math.max(0, Math.round((new Date(updated.expiresAt) - activation) / 60000));
+    }
+    if (changes.password !== undefined) {
+      updated.passwordHash = changes.password ? hashPassword(changes.password) : null;
+    }
+    if (updated.archivedAt && !this.isExpired(updated)) {
+      updated.archivedAt = null; // expiry was extended, bring it back from the archive
+    }
+
+    this.driver.update(shortcode, updated);
+
+    logger.info('Short URL updated', {
+      shortcode,
+      fields: Object.keys(changes),
+      passwordProtected: Boolean(updated.passwordHash),
+      originalUrl: updated.originalUrl,
+      startsAt: updated.startsAt,
+      expiresAt: updated.expiresAt,
+      isActive: updated.isActive
+    });
+
+    return updated;
+  }
+
+  // Give a link another shortcode it answers to; a code is generated when alias is null.
+  // Aliases follow the same rules as custom shortcodes and share their namespace.
+  // Throws an Error with a reason code when the alias can't be used.
+  addAlias(shortcode, alias = null) {
+    shortcode = this.resolveStoredShortcode(shortcode);
+    const urlData = this.driver.get(shortcode);
+    if (!urlData) {
+      logger.warn('Alias requested for non-existent URL', { shortcode });
       return null;
     }
 
-    return urlData;
+    const aliases = urlData.aliases || [];
+    if (aliases.length >= MAX_ALIASES) {
+      throw Object.assign(new Error(`A link can have at most ${MAX_ALIASES} aliases`), { code: 'TOO_MANY_ALIASES' });
+    }
+    if (alias) {
+      const rejection = this.getShortcodeRejection(alias);
+      if (rejection) {
+        throw Object.assign(new Error(rejection.message), { code: rejection.code });
+      }
+    }
+
+    const now = new Date().toISOString();
+    const added = {
+      shortcode: alias || this.generateUniqueShortcode(),
+      shortcodeStrategy: alias ? null : this.shortcodes.name,
+      createdAt: now
+    };
+    const updated = { ...urlData, aliases: [...aliases, added], updatedAt: now };
+    this.driver.update(shortcode, updated);
+    if (this.shortcodeIndex) {
+      this.shortcodeIndex.set(this.getLookupKey(added.shortcode), { shortcode, alias: added.shortcode });
+    }
+
+    logger.info('Alias added', { shortcode, alias: added.shortcode, generated: !alias });
+    return updated;
   }
 
-  // Record a click
+  // Stop a link answering to one of its aliases. The alias is matched like a lookup, so
+  // ignoring case when that mode is on. Returns null when the link or alias doesn't exist.
+  removeAlias(shortcode, alias) {
+    shortcode = this.resolveStoredShortcode(shortcode);
+    const urlData = this.driver.get(shortcode);
+    const aliases = urlData ? urlData.aliases || [] : [];
+    const removed = aliases.find(existing => this.getLookupKey(existing.shortcode) === this.getLookupKey(alias));
+    if (!removed) {
+      logger.warn('Removal requested for non-existent alias', { shortcode, alias });
+      return null;
+    }
+
+    const updated = {
+      ...urlData,
+      aliases: aliases.filter(existing => existing !== removed),
+      updatedAt: new Date().toISOString()
+    };
+    this.driver.update(shortcode, updated);
+    if (this.shortcodeIndex) {
+      this.shortcodeIndex.delete(this.getLookupKey(removed.shortcode));
+    }
+
+    logger.info('Alias removed', { shortcode, alias: removed.shortcode });
+    return updated;
+  }
+
+  // Redirect status for a link: its own choice or the server default
+  getRedirectType(urlData) {
+    return urlData.redirectType || this.defaultRedirectType;
+  }
+
+  // Whether the redirect for a link may be cached (Cache-Control: public). Only permanent
+  // redirects that send every visitor to the same Location qualify: A/B, schedule, device
+  // and geo routing pick a destination per visit, and a shared cache would hand everyone
+  // the first one it stored. Geo routing depends on the client IP, which no Vary header
+  // can express. Query policies with a {clickId} or passthrough build a Location per
+  // request, and cached copies would share one click id. Click-limited links must reach
+  // the server on every visit, or a cache would keep serving them past their limit.
+  isRedirectCacheable(urlData) {
+    return isPermanentRedirect(this.getRedirectType(urlData))
+      && !urlData.maxClicks
+      && !urlData.variants
+      && !urlData.scheduleRules
+      && !urlData.deviceRules
+      && !urlData.geoRules
+      && !isRequestSpecific(urlData.queryPolicy);
+  }
+
+  // Check a visitor-supplied password against a protected link
+  checkPassword(urlData, password) {
+    if (!urlData.passwordHash) return true;
+    return verifyPassword(password, urlData.passwordHash);
+  }
+
+  // Copy of a record with every destination URL set to null when it is password
+  // protected, so statistics and listings don't reveal what the password guards
+  hideDestinations(urlData) {
+    if (!urlData.passwordHash) return urlData;
+
+    const hideUrls = (rules) => rules && rules.map(rule => ({ ...rule, url: null }));
+    return {
+      ...urlData,
+      originalUrl: null,
+      fallbackUrl: null,
+      deviceRules: hideUrls(urlData.deviceRules),
+      geoRules: hideUrls(urlData.geoRules),
+      variants: hideUrls(urlData.variants),
+      scheduleRules: urlData.scheduleRules && { ...urlData.scheduleRules, rules: hideUrls(urlData.scheduleRules.rules) }
+    };
+  }
+
+  // Record data safe to return from the API (password hash removed, destinations of
+  // protected links hidden)
+  toPublicRecord(urlData) {
+    const { passwordHash, ...publicData } = this.hideDestinations(urlData);
+    return { ...publicData, passwordProtected: Boolean(passwordHash) };
+  }
+
+  // What a visitor may see before following a link; reading it is not a click.
+  // The destination of a password-protected link stays hidden.
+  getPreview(urlData) {
+    return {
+      shortcode: urlData.shortcode,
+      status: this.getLinkStatus(urlData),
+      // Hidden for click-limited links too: a preview doesn't use up a click
+      destination: urlData.passwordHash || urlData.maxClicks ? null : urlData.originalUrl,
+      destinationVaries: Boolean(
+        urlData.deviceRules || urlData.geoRules || urlData.scheduleRules || urlData.variants
+      ),
+      passwordProtected: Boolean(urlData.passwordHash),
+      clickLimited: Boolean(urlData.maxClicks),
+      createdAt: urlData.createdAt,
+      expiresAt: urlData.expiresAt,
+      totalClicks: this.driver.countClicks(urlData.shortcode)
+    };
+  }
+
+  // Soft delete: the link stops resolving and is purged by cleanup after the retention window
+  deleteShortURL(shortcode) {
+    shortcode = this.resolveStoredShortcode(shortcode);
+    const urlData = this.driver.get(shortcode);
+    if (!urlData || urlData.deletedAt) {
+      logger.warn('Delete requested for non-existent URL', { shortcode });
+      return null;
+    }
+
+    const now = new Date();
+    const deleted = { ...urlData, isActive: false, deletedAt: now.toISOString(), updatedAt: now.toISOString() };
+    this.driver.update(shortcode, deleted);
+
+    logger.info('Short URL soft-deleted', { shortcode, purgeAfter: this.getPurgeTime(deleted) });
+    return deleted;
+  }
+
+  // Time after which a soft-deleted or archived record is removed by cleanup
+  getPurgeTime(urlData) {
+    if (urlData.deletedAt) {
+      return new Date(new Date(urlData.deletedAt).getTime() + this.softDeleteRetentionMinutes * 60 * 1000).toISOString();
+    }
+    if (urlData.archivedAt) {
+      return new Date(new Date(urlData.archivedAt).getTime() + this.archiveRetentionMinutes * 60 * 1000).toISOString();
+    }
+    return null;
+  }
+
+  // Whether a record is past its expiry (records with expiresAt null never expire)
+  isExpired(urlData, now = new Date()) {
+    return Boolean(urlData.expiresAt) && now > new Date(urlData.expiresAt);
+  }
+
+  // Lifecycle state of a record: active, scheduled, paused, deleted, expired or limit_reached
+  getLinkStatus(urlData, now = new Date()) {
+    if (urlData.deletedAt) return 'deleted';
+    if (this.isExpired(urlData, now)) return 'expired';
+    if (urlData.startsAt && now < new Date(urlData.startsAt)) return 'scheduled';
+    if (urlData.isActive === false) return 'paused';
+    if (this.getRemainingClicks(urlData) === 0) return 'limit_reached';
+    return 'active';
+  }
+
+  // Clicks left before a click-limited link stops redirecting (null when unlimited)
+  getRemainingClicks(urlData) {
+    if (!urlData.maxClicks) return null;
+    return Math.max(0, urlData.maxClicks - this.driver.countClicks(urlData.shortcode));
+  }
+
+  // Look up a shortcode and report why it can't be used, if it can't.
+  // Returns { status, urlData } where status is 'not_found' when there is no record.
+  resolveShortcode(shortcode) {
+    shortcode = this.resolveStoredShortcode(shortcode);
+    const urlData = this.driver.get(shortcode);
+    if (!urlData) {
+      logger.warn('URL not found', { shortcode });
+      return { status: 'not_found', urlData: null };
+    }
+
+    const status = this.getLinkStatus(urlData);
+    if (status !== 'active') {
+      logger.info('URL not resolvable', { shortcode, status });
+    }
+    return { status, urlData };
+  }
+
+  // Permanently remove a URL and its clicks (used to roll back failed batches)
+  purgeShortURL(shortcode) {
+    shortcode = this.resolveStoredShortcode(shortcode);
+    const removed = this.driver.delete(shortcode);
+    if (removed) {
+      logger.info('Short URL purged', { shortcode });
+    }
+    return removed;
+  }
+
+  // Newest active plain link (none of LINK_SETTINGS set) whose destination is equivalent
+  // to originalUrl, for dedupe on create; null if there is none
+  findReusableLink(originalUrl) {
+    const canonical = canonicalizeURL(originalUrl);
+    const matches = this.driver.list().filter(urlData => (
+      canonicalizeURL(urlData.originalUrl) === canonical
+      && LINK_SETTINGS.every(field => !urlData[field])
+      && this.getLinkStatus(urlData) === 'active'
+    ));
+    if (matches.length === 0) return null;
+
+    return matches.reduce((newest, urlData) => (urlData.createdAt > newest.createdAt ? urlData : newest));
+  }
+
+  // Get URL data by shortcode (null unless the link is active)
+  getURLData(shortcode) {
+    const { status, urlData } = this.resolveShortcode(shortcode);
+    return status === 'active' ? urlData : null;
+  }
+
+  // Record a click, noting which of the link's codes was used (its own or an alias).
+  // Returns null when a click-limited link has no uses left.
   recordClick(shortcode, clickData) {
+    const entry = this.resolveAlias(shortcode);
+    if (entry) {
+      shortcode = entry.shortcode;
+    }
     try {
-      const clicks = this.clicks.get(shortcode) || [];
+      const urlData = this.driver.get(shortcode);
+      const maxClicks = urlData && urlData.maxClicks ? urlData.maxClicks : null;
+
       const clickRecord = {
         id: uuidv4(),
         timestamp: new Date().toISOString(),
         ip: clickData.ip,
         userAgent: clickData.userAgent,
         referrer: clickData.referrer || 'Direct',
-        location: clickData.location || 'Unknown'
+        location: clickData.location || 'Unknown',
+        country: clickData.country || null,
+        os: clickData.os || null,
+        device: clickData.device || null,
+        geoRule: clickData.geoRule || null,
+        deviceRule: clickData.deviceRule || null,
+        scheduleRule: clickData.scheduleRule || null,
+        variant: clickData.variant || null,
+        alias: entry ? entry.alias : shortcode
       };
       
-      clicks.push(clickRecord);
-      this.clicks.set(shortcode, clicks);
+      if (!this.driver.recordClick(shortcode, clickRecord, maxClicks)) {
+        logger.warn('Click limit reached', { shortcode, maxClicks });
+        return null;
+      }
       
       logger.info('Click recorded', { shortcode, ip: clickData.ip });
       return clickRecord;
@@ -146,24 +674,61 @@ class URLStorage {
 
   // Get statistics for a shortcode
   getStatistics(shortcode) {
-    const urlData = this.urls.get(shortcode);
+    shortcode = this.resolveStoredShortcode(shortcode);
+    const urlData = this.driver.get(shortcode);
     if (!urlData) {
       logger.warn('Statistics requested for non-existent URL', { shortcode });
       return null;
     }
 
-    const clicks = this.clicks.get(shortcode) || [];
+    const clicks = this.driver.getClicks(shortcode);
+    // Destinations of a protected link stay hidden, as in getPreview
+    const visible = this.hideDestinations(urlData);
     
     const stats = {
       shortcode,
-      originalUrl: urlData.originalUrl,
+      originalUrl: visible.originalUrl,
       createdAt: urlData.createdAt,
+      startsAt: urlData.startsAt || null,
       expiresAt: urlData.expiresAt,
+      status: this.getLinkStatus(urlData),
+      deletedAt: urlData.deletedAt || null,
+      archivedAt: urlData.archivedAt || null,
+      purgeAfter: this.getPurgeTime(urlData),
+      maxClicks: urlData.maxClicks || null,
+      fallbackUrl: visible.fallbackUrl || null,
+      passwordProtected: Boolean(urlData.passwordHash),
+      interstitial: Boolean(urlData.interstitial),
+      redirectType: this.getRedirectType(urlData),
+      redirectTypeIsDefault: !urlData.redirectType,
+      queryPolicy: urlData.queryPolicy || null,
+      deviceTargeting: this.getRuleBreakdown(visible.deviceRules, clicks, 'deviceRule', visible.originalUrl),
+      geoTargeting: this.getRuleBreakdown(visible.geoRules, clicks, 'geoRule', visible.originalUrl),
+      scheduleRouting: visible.scheduleRules
+        ? {
+          timeZone: visible.scheduleRules.timeZone,
+          ...this.getRuleBreakdown(visible.scheduleRules.rules, clicks, 'scheduleRule', visible.originalUrl)
+        }
+        : null,
+      abTest: this.getVariantBreakdown(visible, clicks),
+      aliases: this.getAliasBreakdown(urlData, clicks),
+      clickCounting: this.isRedirectCacheable(urlData)
+        ? 'approximate: browsers and crawlers may cache this permanent redirect and skip the server on repeat visits, so those visits are not counted'
+        : 'exact: redirects are sent with Cache-Control: no-store, so every visit reaches the server',
+      remainingClicks: this.getRemainingClicks(urlData),
       totalClicks: clicks.length,
       clicks: clicks.map(click => ({
         timestamp: click.timestamp,
         referrer: click.referrer,
         location: click.location,
+        country: click.country || null,
+        os: click.os || null,
+        device: click.device || null,
+        deviceRule: click.deviceRule || null,
+        geoRule: click.geoRule || null,
+        scheduleRule: click.scheduleRule || null,
+        variant: click.variant || null,
+        alias: click.alias || shortcode,
         userAgent: click.userAgent
       }))
     };
@@ -172,37 +737,122 @@ class URLStorage {
     return stats;
   }
 
+  // Routing rules with the number of clicks each one matched (null when the link has none).
+  // clickField names the click property holding the matched rule name.
+  getRuleBreakdown(rules, clicks, clickField, defaultUrl) {
+    if (!rules) return null;
+
+    const counts = {};
+    let defaultClicks = 0;
+    clicks.forEach(click => {
+      if (click[clickField]) {
+        counts[click[clickField]] = (counts[click[clickField]] || 0) + 1;
+      } else {
+        defaultClicks++;
+      }
+    });
+
+    return {
+      rules: rules.map(rule => ({ ...rule, clicks: counts[rule.name] || 0 })),
+      defaultUrl,
+      defaultClicks
+    };
+  }
+
+  // A/B variants with their configured share of traffic and the share they actually got
+  // (null when the link has none). Clicks routed by a device, geo or schedule rule are not part of
+  // the experiment and are only counted in routedByRules.
+  getVariantBreakdown(urlData, clicks) {
+    if (!urlData.variants) return null;
+
+    const totalWeight = urlData.variants.reduce((sum, variant) => sum + variant.weight, 0);
+    const counts = {};
+    let experimentClicks = 0;
+    clicks.forEach(click => {
+      if (click.variant) {
+        counts[click.variant] = (counts[click.variant] || 0) + 1;
+        experimentClicks++;
+      }
+    });
+
+    const toPercent = (part, whole) => (whole ? Math.round((part / whole) * 1000) / 10 : 0);
+
+    return {
+      sticky: Boolean(urlData.stickyVariants),
+      experimentClicks,
+      routedByRules: clicks.filter(click => click.deviceRule || click.geoRule || click.scheduleRule).length,
+      variants: urlData.variants.map(variant => ({
+        ...variant,
+        expectedShare: toPercent(variant.weight, totalWeight),
+        clicks: counts[variant.name] || 0,
+        share: toPercent(counts[variant.name] || 0, experimentClicks)
+      }))
+    };
+  }
+
+  // Clicks per code the link answers to, its own first. Clicks recorded before aliases
+  // existed count for the link's own code; clicks through aliases removed since are
+  // summed in removedAliasClicks.
+  getAliasBreakdown(urlData, clicks) {
+    const counts = {};
+    clicks.forEach(click => {
+      const code = click.alias || urlData.shortcode;
+      counts[code] = (counts[code] || 0) + 1;
+    });
+
+    const codes = this.listRecordCodes(urlData).map(code => ({
+      shortcode: code.shortcode,
+      primary: !code.aliasOf,
+      createdAt: code.createdAt,
+      clicks: counts[code.shortcode] || 0
+    }));
+    const countedClicks = codes.reduce((sum, code) => sum + code.clicks, 0);
+
+    return {
+      codes,
+      removedAliasClicks: clicks.length - countedClicks
+    };
+  }
+
+  // Every stored link as stored, destinations included, for checks across links
+  listLinks() {
+    return this.driver.list();
+  }
+
   // Get all URLs (for statistics page)
   getAllURLs() {
-    const allUrls = [];
-    for (const [shortcode, urlData] of this.urls.entries()) {
-      const clicks = this.clicks.get(shortcode) || [];
-      allUrls.push({
-        ...urlData,
-        totalClicks: clicks.length
-      });
-    }
+    const allUrls = this.driver.list().map(urlData => ({
+      ...this.toPublicRecord(urlData),
+      status: this.getLinkStatus(urlData),
+      totalClicks: this.driver.countClicks(urlData.shortcode)
+    }));
     
     logger.info('All URLs retrieved', { count: allUrls.length });
     return allUrls;
   }
 
-  // Clean up expired URLs (utility method)
+  // Archive newly expired URLs (keeping their clicks for statistics) and purge
+  // archived or soft-deleted URLs past their retention window
   cleanupExpiredURLs() {
     const now = new Date();
-    let cleanedCount = 0;
-    
-    for (const [shortcode, urlData] of this.urls.entries()) {
-      const expiry = new Date(urlData.expiresAt);
-      if (now > expiry) {
-        this.urls.delete(shortcode);
-        this.clicks.delete(shortcode);
-        cleanedCount++;
+
+    const removed = this.driver.cleanup(urlData => {
+      const purgeTime = this.getPurgeTime(urlData);
+      return Boolean(purgeTime) && now > new Date(purgeTime);
+    });
+
+    let archivedCount = 0;
+    for (const urlData of this.driver.list()) {
+      if (!urlData.deletedAt && !urlData.archivedAt && this.isExpired(urlData, now)) {
+        this.driver.update(urlData.shortcode, { ...urlData, archivedAt: now.toISOString() });
+        archivedCount++;
       }
     }
+
+    const cleanedCount = removed.length + archivedCount;
     
     if (cleanedCount > 0) {
-      logger.info('Expired URLs cleaned up', { count: cleanedCount });
+      logger.info('Expired URLs cleaned up', { archived: archivedCount, purged: removed.length });
     }
     
     return cleanedCount;
@@ -1,40 +1,360 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const urlStorage = require('../models/urlStorage');
 const { 
-  isValidURL, 
-  isValidValidity, 
   getLocationFromIP, 
+  lookupGeo,
   getRealIP, 
   sanitizeInput,
+  redactSensitive,
   formatErrorResponse,
   formatSuccessResponse
 } = require('../utils/helpers');
+const { parseLinkOptions, getOptionErrorCode } = require('../utils/linkOptions');
+const { checkLinkDestinations, checkAliasChains, getOwnHosts } = require('../utils/destinationPolicy');
+const {
+  renderStatusPage,
+  renderPasswordPage,
+  renderPreviewPage,
+  renderInterstitialPage
+} = require('../utils/htmlPages');
+const { applyQueryPolicy } = require('../utils/queryPolicy');
+const { matchGeoRule } = require('../utils/geoRules');
+const { matchDeviceRule } = require('../utils/deviceRules');
+const { matchScheduleRule } = require('../utils/scheduleRules');
+const { parseUserAgent } = require('../utils/userAgent');
+const { pickVariant, findVariant, getVariantCookieName } = require('../utils/variants');
 const { logger } = require('../middleware/logger');
+const { idempotencyMiddleware } = require('../middleware/idempotency');
 
 const router = express.Router();
 
-// POST /shorturls - Create a new short URL
-router.post('/shorturls', async (req, res) => {
+// Redirect responses for links that exist in some form but can't be followed
+const UNAVAILABLE_RESPONSES = {
+  not_found: { statusCode: 404, message: 'Short URL not found' },
+  expired: { statusCode: 410, message: 'Short URL has expired' },
+  scheduled: { statusCode: 403, message: 'Short URL is not active yet' },
+  paused: { statusCode: 403, message: 'Short URL is paused' },
+  deleted: { statusCode: 410, message: 'Short URL has been deleted' },
+  limit_reached: { statusCode: 410, message: 'Short URL has reached its click limit' }
+};
+
+const getUnavailableDetails = (status, urlData) => {
+  const details = { status };
+  if (status === 'scheduled') {
+    details.startsAt = urlData.startsAt;
+  }
+  if (status === 'expired') {
+    details.expiredAt = urlData.expiresAt;
+  }
+  return details;
+};
+
+const sendUnavailable = (res, status, urlData = null) => {
+  const { statusCode, message } = UNAVAILABLE_RESPONSES[status];
+  return res.status(statusCode).json(formatErrorResponse(message, statusCode, getUnavailableDetails(status, urlData)));
+};
+
+// Dead-link handling for visitors: the link's fallbackUrl if it has one (deleted links
+// stay dead), a themed HTML page for browsers, JSON for API clients
+const sendDeadLink = (req, res, status, urlData = null, shortcode = '') => {
+  if (urlData && urlData.fallbackUrl && status !== 'deleted') {
+    logger.info('Redirecting to fallback URL', { shortcode, status, fallbackUrl: urlData.fallbackUrl });
+    res.set('Cache-Control', 'no-store');
+    return res.redirect(302, urlData.fallbackUrl);
+  }
+
+  if (req.accepts(['json', 'html']) === 'html') {
+    const { statusCode } = UNAVAILABLE_RESPONSES[status];
+    return res.status(statusCode).type('html').send(renderStatusPage({
+      status,
+      shortcode,
+      statusCode,
+      details: getUnavailableDetails(status, urlData)
+    }));
+  }
+
+  return sendUnavailable(res, status, urlData);
+};
+
+// Failed unlock attempts on password-protected links, limited per link (across its
+// aliases) and client IP. Successful unlocks (status < 400) don't count towards the limit.
+// The IP is req.ip, which only trusts X-Forwarded-For as far as the trust proxy setting
+// allows; the raw header would let a client pick a fresh key for every guess.
+const passwordAttemptLimiter = rateLimit({
+  windowMs: (parseInt(process.env.PASSWORD_ATTEMPT_WINDOW_MINUTES, 10) || 15) * 60 * 1000,
+  max: parseInt(process.env.PASSWORD_MAX_ATTEMPTS, 10) || 5,
+  skipSuccessfulRequests: true,
+  keyGenerator: (req) => `${urlStorage.resolveStoredShortcode(sanitizeInput(req.params.shortcode))}|${req.ip}`,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res, next, options) => {
+    logger.warn('Password attempts rate limited', {
+      shortcode: req.params.shortcode,
+      ip: req.ip
+    });
+    res.status(options.statusCode).json(formatErrorResponse(
+      'Too many failed password attempts for this link. Please try again later.',
+      options.statusCode
+    ));
+  }
+});
+
+// helmet's default CSP limits form-action to 'self', and browsers apply that to the redirect
+// that answers a form POST too. Pages whose form ends in a 303 to the link's destination
+// allow any http(s) target instead.
+const allowFormRedirects = (res) => {
+  const policy = res.get('Content-Security-Policy');
+  if (policy) {
+    res.set('Content-Security-Policy', policy.replace(/form-action [^;]*/, "form-action 'self' http: https:"));
+  }
+};
+
+// Raw query string of the short link request, e.g. "?utm_source=newsletter"
+const getIncomingSearch = (req) => {
+  const index = req.originalUrl.indexOf('?');
+  return index === -1 ? '' : req.originalUrl.slice(index);
+};
+
+// Value of one cookie from the request; cookie-parser is not installed
+const readCookie = (req, name) => {
+  const header = req.get('Cookie');
+  if (!header) return null;
+  const pair = header.split(';').map(part => part.trim()).find(part => part.startsWith(`${name}=`));
+  if (!pair) return null;
+  try {
+    return decodeURIComponent(pair.slice(name.length + 1));
+  } catch (error) {
+    return null;
+  }
+};
+
+// A/B variant for this visitor. Sticky links reuse the variant remembered in the visitor's
+// cookie while it still exists on the link, and (re)set the cookie otherwise.
+const chooseVariant = (req, res, urlData, shortcode) => {
+  if (!urlData.stickyVariants) {
+    return pickVariant(urlData.variants);
+  }
+
+  const cookieName = getVariantCookieName(urlData.shortcode);
+  const remembered = findVariant(urlData.variants, readCookie(req, cookieName));
+  if (remembered) return remembered;
+
+  const variant = pickVariant(urlData.variants);
+  res.cookie(cookieName, variant.name, {
+    path: `/${shortcode}`, // as requested; cookie paths are case-sensitive
+    maxAge: (parseInt(process.env.VARIANT_COOKIE_MAX_AGE_DAYS, 10) || 30) * 24 * 60 * 60 * 1000,
+    httpOnly: true,
+    sameSite: 'lax'
+  });
+  return variant;
+};
+
+// Whether a visit is only a look at where the link goes: HEAD requests and bots (link
+// checkers, unfurlers, command-line clients). On click-limited links probes get the
+// preview instead of the redirect, see GET /:shortcode.
+const isProbe = (req) => req.method === 'HEAD' || parseUserAgent(req.get('User-Agent')).device === 'bot';
+
+// Pick this visitor's target (device rules, then geo rules, then schedule rules, then an
+// A/B variant, else originalUrl), record the click with the rule or variant that matched
+// and build the final URL with the link's query policy. HEAD requests get the same answer
+// without a click being recorded; their click has id null.
+// Returns { click, destination }, or null when the click limit was hit.
+const registerVisit = (req, res, urlData, shortcode) => {
+  const clientIP = getRealIP(req);
+  const userAgent = req.get('User-Agent');
+  const agent = parseUserAgent(userAgent);
+  const deviceRule = matchDeviceRule(urlData.deviceRules, agent);
+  const geo = lookupGeo(clientIP);
+  const geoRule = deviceRule ? null : matchGeoRule(urlData.geoRules, geo);
+  const scheduleRule = deviceRule || geoRule ? null : matchScheduleRule(urlData.scheduleRules);
+  const rule = deviceRule || geoRule || scheduleRule;
+  const variant = rule || !urlData.variants ? null : chooseVariant(req, res, urlData, shortcode);
+
+  const clickData = {
+    ip: clientIP,
+    userAgent,
+    referrer: req.get('Referrer') || req.get('Referer'),
+    location: getLocationFromIP(clientIP),
+    country: geo ? geo.country : null,
+    os: agent.os,
+    device: agent.device,
+    deviceRule: deviceRule ? deviceRule.name : null,
+    geoRule: geoRule ? geoRule.name : null,
+    scheduleRule: scheduleRule ? scheduleRule.name : null,
+    variant: variant ? variant.name : null
+  };
+
+  // Checks the click limit and records atomically; null means the last use was taken
+  const click = req.method === 'HEAD'
+    ? { ...clickData, id: null }
+    : urlStorage.recordClick(shortcode, clickData);
+  if (!click) return null;
+
+  const matched = rule || variant;
+  const target = matched ? matched.url : urlData.originalUrl;
+  const destination = applyQueryPolicy(target, urlData.queryPolicy, getIncomingSearch(req), { clickId: click.id || '' });
+  return { click, destination };
+};
+
+// Redirect with the link's status and matching caching headers: permanent redirects
+// are cacheable (never past the link's expiry), temporary ones are never stored.
+// Links whose destination depends on the visitor are never cached, see
+// URLStorage.isRedirectCacheable.
+const sendRedirect = (res, urlData, destination) => {
+  const redirectType = urlStorage.getRedirectType(urlData);
+
+  if (urlStorage.isRedirectCacheable(urlData)) {
+    let maxAge = parseInt(process.env.REDIRECT_CACHE_MAX_AGE, 10) || 24 * 60 * 60;
+    if (urlData.expiresAt) {
+      maxAge = Math.min(maxAge, Math.max(0, Math.floor((new Date(urlData.expiresAt) - Date.now()) / 1000)));
+    }
+    res.set('Cache-Control', `public, max-age=${maxAge}`);
+  } else {
+    res.set('Cache-Control', 'no-store');
+  }
+
+  return res.redirect(redirectType, destination);
+};
+
+// Flip isActive on a link; shared by the pause and resume routes
+const setActiveState = (isActive) => async (req, res) => {
+  const action = isActive ? 'resume' : 'pause';
+  try {
+    const cleanShortcode = sanitizeInput(req.params.shortcode);
+    logger.info(`Short URL ${action} request received`, { shortcode: cleanShortcode });
+
+    const { status } = urlStorage.resolveShortcode(cleanShortcode);
+    if (status === 'not_found' || status === 'deleted') {
+      return sendUnavailable(res, status);
+    }
+
+    const urlData = urlStorage.updateShortURL(cleanShortcode, { isActive });
+
+    res.json({
+      shortcode: urlData.shortcode,
+      isActive: urlData.isActive,
+      status: urlStorage.getLinkStatus(urlData),
+      updatedAt: urlData.updatedAt
+    });
+
+  } catch (error) {
+    logger.error(`Error during short URL ${action}`, {
+      error: error.message,
+      shortcode: req.params.shortcode
+    });
+
+    res.status(500).json(formatErrorResponse(`Internal server error during ${action}`));
+  }
+};
+
+// What the destination policy needs to know about this request; shortcode is the link
+// being created or edited, when known
+const getPolicyContext = (req, shortcode = null) => ({
+  shortcode,
+  ownHosts: getOwnHosts(req),
+  resolveLink: (code) => urlStorage.resolveShortcode(code).urlData || null,
+  lookupKey: (code) => urlStorage.getLookupKey(code)
+});
+
+// 400 for a destination the policy rejects, with its reason code
+const sendPolicyRejection = (res, rejection) => res.status(400).json(formatErrorResponse(
+  rejection.message,
+  400,
+  { code: rejection.code, field: rejection.field }
+));
+
+// 409 for a custom shortcode (or alias) someone already has, 400 for one that can't be
+// used at all
+const sendShortcodeRejection = (res, rejection, field = 'shortcode') => {
+  const statusCode = rejection.code === 'SHORTCODE_TAKEN' ? 409 : 400;
+  return res.status(statusCode).json(formatErrorResponse(
+    rejection.message,
+    statusCode,
+    { code: rejection.code, field }
+  ));
+};
+
+// A link's own shortcode and its aliases, with their short links
+const formatAliases = (req, urlData) => {
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  return {
+    shortcode: urlData.shortcode,
+    shortLink: `${baseUrl}/${urlData.shortcode}`,
+    aliases: (urlData.aliases || []).map(alias => ({
+      shortcode: alias.shortcode,
+      shortLink: `${baseUrl}/${alias.shortcode}`,
+      createdAt: alias.createdAt
+    }))
+  };
+};
+
+// POST /shorturls - Create a new short URL (retry-safe with an Idempotency-Key header)
+router.post('/shorturls', idempotencyMiddleware, async (req, res) => {
   try {
-    logger.info('Create short URL request received', { body: req.body });
+    logger.info('Create short URL request received', { body: redactSensitive(req.body) });
     
-    const { url, validity, shortcode } = req.body;
+    const { url, shortcode, dedupe = false } = req.body;
     
 
     
     const cleanUrl = sanitizeInput(url);
     const cleanShortcode = shortcode ? sanitizeInput(shortcode) : null;
-    const validityMinutes = validity || 30;
 
     
-    // Validate validity period
-    if (!isValidValidity(validityMinutes)) {
-      logger.warn('Invalid validity period', { validity: validityMinutes });
-      return res.status(400).json(formatErrorResponse('Validity must be a positive integer representing minutes (max 525600).'));
+    // Validate validity / expiry / activation time and the other per-link options
+    const { errors: optionErrors, options } = parseLinkOptions(req.body);
+    if (Object.keys(optionErrors).length > 0) {
+      logger.warn('Invalid link options', { errors: optionErrors });
+      return res.status(400).json(formatErrorResponse(Object.values(optionErrors)[0], 400, optionErrors));
     }
-    
+
+    if (!cleanUrl || typeof cleanUrl !== 'string') {
+      return res.status(400).json(formatErrorResponse('url is required', 400, { code: 'INVALID_URL', field: 'url' }));
+    }
+
+    // Format, reserved route names, blocklist, profanity and availability
+    const shortcodeRejection = cleanShortcode ? urlStorage.getShortcodeRejection(cleanShortcode) : null;
+    if (shortcodeRejection) {
+      logger.warn('Custom shortcode rejected', { shortcode: cleanShortcode, code: shortcodeRejection.code });
+      return sendShortcodeRejection(res, shortcodeRejection);
+    }
+
+    // Scheme, private addresses, domain lists and loops through our own short links
+    const rejection = checkLinkDestinations({ originalUrl: cleanUrl, ...options }, getPolicyContext(req, cleanShortcode));
+    if (rejection) {
+      logger.warn('Destination rejected by policy', { ...rejection, shortcode: cleanShortcode });
+      return sendPolicyRejection(res, rejection);
+    }
+
+    if (typeof dedupe !== 'boolean') {
+      return res.status(400).json(formatErrorResponse('dedupe must be a boolean', 400, { dedupe: 'dedupe must be a boolean' }));
+    }
+    if (dedupe && cleanShortcode) {
+      return res.status(400).json(formatErrorResponse('dedupe cannot be combined with a custom shortcode'));
+    }
+    // A reused link keeps its own settings, so only a plain link may be deduplicated
+    const linkSettings = Object.keys(options).filter(field => field !== 'expiresAt' && field !== 'validityMinutes');
+    if (dedupe && linkSettings.length > 0) {
+      return res.status(400).json(formatErrorResponse(
+        `dedupe cannot be combined with ${linkSettings.join(', ')}`,
+        400,
+        { dedupe: 'dedupe only applies to links without per-link settings other than validity or expiry' }
+      ));
+    }
+
+    // dedupe hands back an existing active link for an equivalent destination as it is,
+    // including its expiry
+    const existing = dedupe ? urlStorage.findReusableLink(cleanUrl) : null;
+    if (existing) {
+      logger.info('Reusing existing short URL for equivalent destination', {
+        shortcode: existing.shortcode,
+        originalUrl: existing.originalUrl
+      });
+    }
+
     // Create short URL
-    const urlData = urlStorage.createShortURL(cleanUrl, validityMinutes, cleanShortcode);
+    const urlData = existing || urlStorage.createShortURL(cleanUrl, options.validityMinutes, cleanShortcode, options);
     const baseUrl = `${req.protocol}://${req.get('host')}`;
     const shortLink = `${baseUrl}/${urlData.shortcode}`;
     
@@ -42,29 +362,194 @@ router.post('/shorturls', async (req, res) => {
       shortLink,
       expiry: urlData.expiresAt
     };
+
+    if (existing) {
+      response.deduplicated = true;
+    }
+
+    if (urlData.startsAt) {
+      response.startsAt = urlData.startsAt;
+    }
+
+    if (urlData.maxClicks) {
+      response.maxClicks = urlData.maxClicks;
+    }
+
+    if (urlData.fallbackUrl) {
+      response.fallbackUrl = urlData.fallbackUrl;
+    }
+
+    if (urlData.redirectType) {
+      response.redirectType = urlData.redirectType;
+    }
+
+    if (urlData.passwordHash) {
+      response.passwordProtected = true;
+    }
+
+    if (urlData.interstitial) {
+      response.interstitial = true;
+    }
     
     logger.info('Short URL created successfully', { 
       shortcode: urlData.shortcode, 
-      originalUrl: cleanUrl 
+      originalUrl: urlData.originalUrl,
+      deduplicated: Boolean(existing)
     });
     
-    res.status(201).json(response);
+    res.status(existing ? 200 : 201).json(response);
     
   } catch (error) {
     logger.error('Error creating short URL', { 
       error: error.message,
       stack: error.stack,
-      body: req.body
+      body: redactSensitive(req.body)
     });
     
-    if (error.message.includes('shortcode')) {
-      return res.status(409).json(formatErrorResponse(error.message));
+    // e.g. the custom shortcode was taken between the check and the insert
+    if (urlStorage.isShortcodeRejection(error)) {
+      return sendShortcodeRejection(res, error);
     }
-    
+
     res.status(500).json(formatErrorResponse('Internal server error while creating short URL'));
   }
 });
 
+// POST /shorturls/batch - Create several short URLs in one request
+router.post('/shorturls/batch', async (req, res) => {
+  try {
+    const { items, atomic = false } = req.body;
+    const maxItems = parseInt(process.env.BATCH_MAX_ITEMS, 10) || 50;
+
+    logger.info('Batch create request received', {
+      count: Array.isArray(items) ? items.length : 0,
+      atomic
+    });
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json(formatErrorResponse('items must be a non-empty array of { url, validity, shortcode } objects'));
+    }
+
+    if (typeof atomic !== 'boolean') {
+      return res.status(400).json(formatErrorResponse('atomic must be a boolean', 400, { atomic: 'atomic must be a boolean' }));
+    }
+
+    if (items.length > maxItems) {
+      logger.warn('Batch too large', { count: items.length, maxItems });
+      return res.status(413).json(formatErrorResponse(`A batch may contain at most ${maxItems} items`, 413));
+    }
+
+    // Validate every item before creating anything
+    const seenShortcodes = new Set();
+    const prepared = items.map((item, index) => {
+      const { url, shortcode } = item || {};
+      const cleanUrl = sanitizeInput(url);
+      const cleanShortcode = shortcode ? sanitizeInput(shortcode) : null;
+      const { errors: optionErrors, options } = parseLinkOptions(item || {});
+      const fail = (code, message) => ({ index, error: { code, message } });
+
+      if (!cleanUrl || typeof cleanUrl !== 'string') {
+        return fail('INVALID_URL', 'A valid http(s) URL is required');
+      }
+      const optionField = Object.keys(optionErrors)[0];
+      if (optionField) {
+        return fail(getOptionErrorCode(optionField), optionErrors[optionField]);
+      }
+      const rejection = checkLinkDestinations({ originalUrl: cleanUrl, ...options }, getPolicyContext(req, cleanShortcode));
+      if (rejection) {
+        return fail(rejection.code, `${rejection.field}: ${rejection.message}`);
+      }
+      if (cleanShortcode) {
+        const shortcodeRejection = urlStorage.getShortcodeRejection(cleanShortcode);
+        if (shortcodeRejection && shortcodeRejection.code !== 'SHORTCODE_TAKEN') {
+          return fail(shortcodeRejection.code, shortcodeRejection.message);
+        }
+        // Keyed like stored codes, so Abc and abc clash when shortcodes ignore case
+        const shortcodeKey = urlStorage.getLookupKey(cleanShortcode);
+        if (seenShortcodes.has(shortcodeKey)) {
+          return fail('DUPLICATE_SHORTCODE', 'Shortcode is used by another item in this batch');
+        }
+        if (shortcodeRejection) {
+          return fail(shortcodeRejection.code, shortcodeRejection.message);
+        }
+        seenShortcodes.add(shortcodeKey);
+      }
+
+      return { index, url: cleanUrl, options, shortcode: cleanShortcode };
+    });
+
+    const invalidCount = prepared.filter(item => item.error).length;
+
+    if (atomic && invalidCount > 0) {
+      logger.warn('Atomic batch rejected', { invalidCount });
+      return res.status(422).json({
+        ...formatErrorResponse('Batch rejected: no URLs were created because some items are invalid', 422),
+        results: prepared.map(item => item.error
+          ? { index: item.index, success: false, error: item.error }
+          : { index: item.index, success: false, error: { code: 'NOT_ATTEMPTED', message: 'Skipped because the batch was rejected' } })
+      });
+    }
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const created = [];
+    const results = [];
+
+    for (const item of prepared) {
+      if (item.error) {
+        results.push({ index: item.index, success: false, error: item.error });
+        continue;
+      }
+
+      try {
+        const urlData = urlStorage.createShortURL(item.url, item.options.validityMinutes, item.shortcode, item.options);
+        created.push(urlData.shortcode);
+        results.push({
+          index: item.index,
+          success: true,
+          shortcode: urlData.shortcode,
+          shortLink: `${baseUrl}/${urlData.shortcode}`,
+          expiry: urlData.expiresAt
+        });
+      } catch (error) {
+        if (atomic) {
+          // Undo what this batch already created
+          created.forEach(shortcode => urlStorage.purgeShortURL(shortcode));
+          logger.warn('Atomic batch rolled back', { failedIndex: item.index, rolledBack: created.length });
+          return res.status(422).json({
+            ...formatErrorResponse('Batch rejected: no URLs were created because an item failed', 422),
+            results: prepared.map(other => ({
+              index: other.index,
+              success: false,
+              error: other.index === item.index
+                ? { code: 'CREATE_FAILED', message: error.message }
+                : { code: 'NOT_ATTEMPTED', message: 'Rolled back because the batch was rejected' }
+            }))
+          });
+        }
+        results.push({ index: item.index, success: false, error: { code: 'CREATE_FAILED', message: error.message } });
+      }
+    }
+
+    const summary = {
+      total: items.length,
+      successful: created.length,
+      failed: items.length - created.length
+    };
+
+    logger.info('Batch create completed', summary);
+
+    res.status(summary.failed === 0 ? 201 : 207).json({ results, summary });
+
+  } catch (error) {
+    logger.error('Error creating short URL batch', {
+      error: error.message,
+      stack: error.stack
+    });
+
+    res.status(500).json(formatErrorResponse('Internal server error while creating short URLs'));
+  }
+});
+
 // GET /shorturls/:shortcode - Get statistics for a short URL
 router.get('/shorturls/:shortcode', async (req, res) => {
   try {
@@ -82,7 +567,7 @@ router.get('/shorturls/:shortcode', async (req, res) => {
     
     if (!statistics) {
       logger.warn('Statistics requested for non-existent shortcode', { shortcode: cleanShortcode });
-      return res.status(404).json(formatErrorResponse('Short URL not found or has expired'));
+      return res.status(404).json(formatErrorResponse('Short URL not found', 404));
     }
     
     logger.info('Statistics retrieved successfully', { 
@@ -102,6 +587,254 @@ router.get('/shorturls/:shortcode', async (req, res) => {
   }
 });
 
+// GET /shorturls/:shortcode/availability - Check a custom shortcode before claiming it
+router.get('/shorturls/:shortcode/availability', async (req, res) => {
+  try {
+    const cleanShortcode = sanitizeInput(req.params.shortcode);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 0), 10);
+
+    const availability = urlStorage.getShortcodeAvailability(cleanShortcode, limit);
+
+    logger.info('Shortcode availability checked', {
+      shortcode: cleanShortcode,
+      status: availability.status,
+      alternatives: availability.alternatives.length
+    });
+
+    res.set('Cache-Control', 'no-store');
+    res.json(availability);
+
+  } catch (error) {
+    logger.error('Error checking shortcode availability', {
+      error: error.message,
+      shortcode: req.params.shortcode
+    });
+
+    res.status(500).json(formatErrorResponse('Internal server error while checking shortcode availability'));
+  }
+});
+
+// PATCH /shorturls/:shortcode - Edit any of the link's options (see getEditableFields)
+router.patch('/shorturls/:shortcode', async (req, res) => {
+  try {
+    const cleanShortcode = sanitizeInput(req.params.shortcode);
+    const { url, originalUrl, isActive } = req.body;
+
+    logger.info('Update short URL request received', { shortcode: cleanShortcode, body: redactSensitive(req.body) });
+
+    const { status, urlData: existing } = urlStorage.resolveShortcode(cleanShortcode);
+    if (status === 'not_found' || status === 'deleted') {
+      return sendUnavailable(res, status);
+    }
+
+    const changes = {};
+    const errors = {};
+
+    const newUrl = url !== undefined ? url : originalUrl;
+    if (newUrl !== undefined) {
+      const cleanUrl = sanitizeInput(newUrl);
+      if (typeof cleanUrl !== 'string' || !cleanUrl) {
+        errors.url = 'A valid http(s) URL is required';
+      } else {
+        changes.originalUrl = cleanUrl;
+      }
+    }
+
+    // Same rules as creation for the expiry window and the other per-link options
+    const { errors: optionErrors, options } = parseLinkOptions(req.body, { isUpdate: true, currentStartsAt: existing.startsAt });
+    Object.assign(errors, optionErrors);
+    Object.assign(changes, options);
+    delete changes.validityMinutes; // derived from expiresAt by updateShortURL
+
+    if (isActive !== undefined) {
+      if (typeof isActive !== 'boolean') {
+        errors.isActive = 'isActive must be a boolean';
+      } else {
+        changes.isActive = isActive;
+      }
+    }
+
+    // The new window may combine an edited field with an unchanged one
+    const nextStartsAt = changes.startsAt !== undefined ? changes.startsAt : existing.startsAt;
+    const nextExpiresAt = changes.expiresAt !== undefined ? changes.expiresAt : existing.expiresAt;
+    if (!errors.startsAt && nextStartsAt && nextExpiresAt && new Date(nextStartsAt) >= new Date(nextExpiresAt)) {
+      errors.startsAt = 'startsAt must be before the expiry time';
+    }
+
+    if (Object.keys(errors).length > 0) {
+      logger.warn('Invalid update request', { shortcode: cleanShortcode, errors });
+      return res.status(400).json(formatErrorResponse('Invalid update request', 400, errors));
+    }
+
+    const rejection = checkLinkDestinations(changes, getPolicyContext(req, existing.shortcode));
+    if (rejection) {
+      logger.warn('Destination rejected by policy', { ...rejection, shortcode: cleanShortcode });
+      return sendPolicyRejection(res, rejection);
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json(formatErrorResponse(`Nothing to update. Provide at least one of ${urlStorage.getEditableFields().join(', ')}.`));
+    }
+
+    const urlData = urlStorage.updateShortURL(cleanShortcode, changes);
+
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+
+    res.json({
+      ...urlStorage.toPublicRecord(urlData),
+      shortLink: `${baseUrl}/${urlData.shortcode}`,
+      expiry: urlData.expiresAt,
+      redirectType: urlStorage.getRedirectType(urlData),
+      status: urlStorage.getLinkStatus(urlData)
+    });
+
+  } catch (error) {
+    logger.error('Error updating short URL', {
+      error: error.message,
+      shortcode: req.params.shortcode
+    });
+
+    res.status(500).json(formatErrorResponse('Internal server error while updating short URL'));
+  }
+});
+
+// DELETE /shorturls/:shortcode - Soft delete a short URL
+router.delete('/shorturls/:shortcode', async (req, res) => {
+  try {
+    const cleanShortcode = sanitizeInput(req.params.shortcode);
+    logger.info('Delete short URL request received', { shortcode: cleanShortcode });
+
+    const { status } = urlStorage.resolveShortcode(cleanShortcode);
+    if (status === 'not_found' || status === 'deleted') {
+      return sendUnavailable(res, status);
+    }
+
+    const urlData = urlStorage.deleteShortURL(cleanShortcode);
+
+    res.json({
+      shortcode: urlData.shortcode,
+      status: 'deleted',
+      deletedAt: urlData.deletedAt,
+      purgeAfter: urlStorage.getPurgeTime(urlData)
+    });
+
+  } catch (error) {
+    logger.error('Error deleting short URL', {
+      error: error.message,
+      shortcode: req.params.shortcode
+    });
+
+    res.status(500).json(formatErrorResponse('Internal server error while deleting short URL'));
+  }
+});
+
+// POST /shorturls/:shortcode/pause - Stop redirecting without deleting
+router.post('/shorturls/:shortcode/pause', setActiveState(false));
+
+// POST /shorturls/:shortcode/resume - Redirect again after a pause
+router.post('/shorturls/:shortcode/resume', setActiveState(true));
+
+// POST /shorturls/:shortcode/aliases - Let a link answer to another shortcode as well.
+// Body { alias } picks the code; without one a code is generated.
+router.post('/shorturls/:shortcode/aliases', async (req, res) => {
+  try {
+    const cleanShortcode = sanitizeInput(req.params.shortcode);
+    const { alias } = req.body || {};
+    const cleanAlias = alias === undefined || alias === null ? null : sanitizeInput(alias);
+    logger.info('Add alias request received', { shortcode: cleanShortcode, alias: cleanAlias });
+
+    const { status } = urlStorage.resolveShortcode(cleanShortcode);
+    if (status === 'not_found' || status === 'deleted') {
+      return sendUnavailable(res, status);
+    }
+
+    if (cleanAlias !== null) {
+      const rejection = urlStorage.getShortcodeRejection(cleanAlias);
+      if (rejection) {
+        logger.warn('Alias rejected', { shortcode: cleanShortcode, alias: cleanAlias, code: rejection.code });
+        return sendShortcodeRejection(res, rejection, 'alias');
+      }
+
+      // Links already pointing at /alias would now redirect through this one
+      const chainRejection = checkAliasChains(
+        cleanAlias,
+        urlStorage.resolveShortcode(cleanShortcode).urlData,
+        urlStorage.listLinks(),
+        getPolicyContext(req)
+      );
+      if (chainRejection) {
+        logger.warn('Alias rejected by destination policy', { shortcode: cleanShortcode, alias: cleanAlias, ...chainRejection });
+        return sendPolicyRejection(res, {
+          ...chainRejection,
+          field: 'alias',
+          message: `/${chainRejection.shortcode} points at /${cleanAlias}: ${chainRejection.message}`
+        });
+      }
+    }
+
+    const urlData = urlStorage.addAlias(cleanShortcode, cleanAlias);
+    const added = urlData.aliases[urlData.aliases.length - 1];
+
+    res.status(201).json({
+      alias: added.shortcode,
+      ...formatAliases(req, urlData)
+    });
+
+  } catch (error) {
+    // e.g. the alias was taken between the check and the insert, or the link is full
+    if (urlStorage.isShortcodeRejection(error)) {
+      return sendShortcodeRejection(res, error, 'alias');
+    }
+
+    logger.error('Error adding alias', {
+      error: error.message,
+      shortcode: req.params.shortcode
+    });
+
+    res.status(500).json(formatErrorResponse('Internal server error while adding alias'));
+  }
+});
+
+// DELETE /shorturls/:shortcode/aliases/:alias - Stop a link answering to one of its aliases
+router.delete('/shorturls/:shortcode/aliases/:alias', async (req, res) => {
+  try {
+    const cleanShortcode = sanitizeInput(req.params.shortcode);
+    const cleanAlias = sanitizeInput(req.params.alias);
+    logger.info('Remove alias request received', { shortcode: cleanShortcode, alias: cleanAlias });
+
+    const { status, urlData: existing } = urlStorage.resolveShortcode(cleanShortcode);
+    if (status === 'not_found' || status === 'deleted') {
+      return sendUnavailable(res, status);
+    }
+    if (urlStorage.getLookupKey(cleanAlias) === urlStorage.getLookupKey(existing.shortcode)) {
+      return res.status(400).json(formatErrorResponse(
+        'A link\'s own shortcode can\'t be removed; delete the link instead',
+        400,
+        { code: 'PRIMARY_SHORTCODE', field: 'alias' }
+      ));
+    }
+
+    const urlData = urlStorage.removeAlias(cleanShortcode, cleanAlias);
+    if (!urlData) {
+      return res.status(404).json(formatErrorResponse(
+        `/${cleanAlias} is not an alias of /${existing.shortcode}`,
+        404,
+        { code: 'ALIAS_NOT_FOUND', field: 'alias' }
+      ));
+    }
+
+    res.json(formatAliases(req, urlData));
+
+  } catch (error) {
+    logger.error('Error removing alias', {
+      error: error.message,
+      shortcode: req.params.shortcode
+    });
+
+    res.status(500).json(formatErrorResponse('Internal server error while removing alias'));
+  }
+});
+
 // GET /all-urls - Get all URLs for statistics page
 router.get('/all-urls', async (req, res) => {
   try {
@@ -119,6 +852,45 @@ router.get('/all-urls', async (req, res) => {
   }
 });
 
+// Preview page or JSON for a stored link
+const sendLinkPreview = (req, res, urlData) => {
+  const preview = urlStorage.getPreview(urlData);
+  res.set('Cache-Control', 'no-store');
+
+  if (req.accepts(['json', 'html']) === 'html') {
+    return res.type('html').send(renderPreviewPage({ preview }));
+  }
+  return res.json(preview);
+};
+
+// Where a link goes, without following it or counting a click. Links that no longer
+// exist get the usual dead-link response, minus the fallback redirect.
+const sendPreview = (req, res) => {
+  try {
+    const cleanShortcode = sanitizeInput(req.params.shortcode || req.params[0]);
+    logger.info('Preview request received', { shortcode: cleanShortcode });
+
+    const { status, urlData } = urlStorage.resolveShortcode(cleanShortcode);
+    if (status === 'not_found' || status === 'deleted') {
+      return sendDeadLink(req, res, status, null, cleanShortcode);
+    }
+
+    sendLinkPreview(req, res, urlData);
+
+  } catch (error) {
+    logger.error('Error rendering preview', {
+      error: error.message,
+      shortcode: req.params.shortcode || req.params[0]
+    });
+
+    res.status(500).json(formatErrorResponse('Internal server error while rendering preview'));
+  }
+};
+
+// GET /:shortcode+ and /:shortcode/preview - Preview a short URL
+router.get(/^\/([^/]+)\+$/, sendPreview);
+router.get('/:shortcode/preview', sendPreview);
+
 // GET /:shortcode - Redirect to original URL
 router.get('/:shortcode', async (req, res) => {
   try {
@@ -132,34 +904,75 @@ router.get('/:shortcode', async (req, res) => {
       return res.status(400).json(formatErrorResponse('Invalid shortcode'));
     }
     
-    const urlData = urlStorage.getURLData(cleanShortcode);
+    const { status, urlData } = urlStorage.resolveShortcode(cleanShortcode);
     
-    if (!urlData) {
-      logger.warn('Redirect attempted for non-existent or expired URL', { shortcode: cleanShortcode });
-      return res.status(404).json(formatErrorResponse('Short URL not found or has expired'));
-    }
-    
-    // Record the click
-    const clientIP = getRealIP(req);
-    const location = getLocationFromIP(clientIP);
-    const clickData = {
-      ip: clientIP,
-      userAgent: req.get('User-Agent'),
-      referrer: req.get('Referrer') || req.get('Referer'),
-      location
-    };
+    if (status !== 'active') {
+      logger.warn('Redirect attempted for unavailable URL', { shortcode: cleanShortcode, status });
+      return sendDeadLink(req, res, status, urlData, cleanShortcode);
+    }
+    
+    // Protected links need an unlock via POST /:shortcode first; showing the form isn't a click
+    if (urlData.passwordHash) {
+      logger.info('Password required for short URL', { shortcode: cleanShortcode });
+      if (req.accepts(['json', 'html']) === 'html') {
+        allowFormRedirects(res);
+        return res.status(401).type('html').send(renderPasswordPage({
+          shortcode: cleanShortcode,
+          search: getIncomingSearch(req)
+        }));
+      }
+      return res.status(401).json(formatErrorResponse(
+        'Password required. POST the password to this URL to continue.',
+        401,
+        { status: 'password_required' }
+      ));
+    }
+
+    // Interstitial links show a warning first; continuing is a POST to /:shortcode
+    if (urlData.interstitial) {
+      logger.info('Interstitial shown for short URL', { shortcode: cleanShortcode });
+      const preview = urlStorage.getPreview(urlData);
+      res.set('Cache-Control', 'no-store');
+      if (req.accepts(['json', 'html']) === 'html') {
+        allowFormRedirects(res);
+        return res.type('html').send(renderInterstitialPage({ preview, search: getIncomingSearch(req) }));
+      }
+      return res.json({
+        ...preview,
+        confirmationRequired: true,
+        message: 'POST to this URL to continue to the destination.'
+      });
+    }
     
-    urlStorage.recordClick(cleanShortcode, clickData);
+    // A redirect would hand a click-limited link's destination to probes without using
+    // up a click, so they get the preview, which hides it
+    if (urlData.maxClicks && isProbe(req)) {
+      logger.info('Preview sent to probe of click-limited URL', { shortcode: cleanShortcode, method: req.method });
+      return sendLinkPreview(req, res, urlData);
+    }
+
+    const visit = registerVisit(req, res, urlData, cleanShortcode);
+    if (!visit) {
+      logger.warn('Redirect refused, click limit reached', { shortcode: cleanShortcode });
+      return sendDeadLink(req, res, 'limit_reached', urlData, cleanShortcode);
+    }
+
+    const { destination, click } = visit;
     
     logger.info('Redirecting to original URL', { 
       shortcode: cleanShortcode, 
       originalUrl: urlData.originalUrl,
-      clientIP,
-      location
+      destination,
+      deviceRule: click.deviceRule,
+      geoRule: click.geoRule,
+      scheduleRule: click.scheduleRule,
+      variant: click.variant,
+      counted: Boolean(click.id),
+      clientIP: getRealIP(req)
     });
     
     // Redirect to original URL
-    res.redirect(302, urlData.originalUrl);
+    sendRedirect(res, urlData, destination);
     
   } catch (error) {
     logger.error('Error during redirect', { 
@@ -171,4 +984,73 @@ router.get('/:shortcode', async (req, res) => {
   }
 });
 
+// POST /:shortcode - Unlock a password-protected short URL, or continue past an interstitial.
+// For a link with both, the password form doubles as the interstitial.
+router.post('/:shortcode', passwordAttemptLimiter, async (req, res) => {
+  try {
+    const cleanShortcode = sanitizeInput(req.params.shortcode);
+    const wantsHtml = req.accepts(['json', 'html']) === 'html';
+
+    logger.info('Unlock request received', { shortcode: cleanShortcode });
+
+    const { status, urlData } = urlStorage.resolveShortcode(cleanShortcode);
+
+    if (status !== 'active') {
+      logger.warn('Unlock attempted for unavailable URL', { shortcode: cleanShortcode, status });
+      return sendDeadLink(req, res, status, urlData, cleanShortcode);
+    }
+
+    if (!urlData.passwordHash && !urlData.interstitial) {
+      return res.status(400).json(formatErrorResponse('Short URL is not password protected'));
+    }
+
+    const { password } = req.body || {};
+
+    if (urlData.passwordHash && !urlStorage.checkPassword(urlData, password)) {
+      logger.warn('Failed password attempt', { shortcode: cleanShortcode, ip: getRealIP(req) });
+      if (wantsHtml) {
+        allowFormRedirects(res);
+        return res.status(401).type('html').send(renderPasswordPage({
+          shortcode: cleanShortcode,
+          search: getIncomingSearch(req),
+          error: 'Incorrect password. Please try again.'
+        }));
+      }
+      return res.status(401).json(formatErrorResponse('Incorrect password', 401, { status: 'password_required' }));
+    }
+
+    // Only a successful unlock or confirmation counts as a click
+    const visit = registerVisit(req, res, urlData, cleanShortcode);
+    if (!visit) {
+      logger.warn('Unlock refused, click limit reached', { shortcode: cleanShortcode });
+      return sendDeadLink(req, res, 'limit_reached', urlData, cleanShortcode);
+    }
+
+    const { destination } = visit;
+
+    logger.info('Short URL unlocked', {
+      shortcode: cleanShortcode,
+      passwordProtected: Boolean(urlData.passwordHash),
+      ip: getRealIP(req)
+    });
+
+    if (wantsHtml) {
+      return res.redirect(303, destination);
+    }
+
+    res.json({
+      shortcode: cleanShortcode,
+      originalUrl: destination
+    });
+
+  } catch (error) {
+    logger.error('Error unlocking short URL', {
+      error: error.message,
+      shortcode: req.params.shortcode
+    });
+
+    res.status(500).json(formatErrorResponse('Internal server error while unlocking short URL'));
+  }
+});
+
 module.exports = router;
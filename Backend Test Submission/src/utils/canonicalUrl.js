@@ -0,0 +1,44 @@
+// Canonical form of a destination URL, so equivalent spellings are stored (and
+// deduplicated) as one:
+//   HTTPS://Example.COM:443      -> https://example.com/
+//   https://example.com/?#       -> https://example.com/
+//   https://bücher.example/      -> https://xn--bcher-kva.example/
+//   https://example.com/%7euser  -> https://example.com/~user
+//
+// The URL parser lowercases the scheme and host, converts IDNs to punycode, drops default
+// ports and gives an empty path its "/". On top of that, an empty query or fragment is
+// dropped, escapes of unreserved characters (RFC 3986: letters, digits, - . _ ~) are
+// decoded and the remaining escapes use uppercase hex.
+// Trailing slashes on longer paths are kept: /docs and /docs/ may be different pages.
+// Query parameter order is kept too, as some servers depend on it.
+
+const UNRESERVED = /[A-Za-z0-9\-._~]/;
+
+const normalizeEscapes = (value) => value.replace(/%([0-9a-fA-F]{2})/g, (escape, hex) => {
+  const char = String.fromCharCode(parseInt(hex, 16));
+  return UNRESERVED.test(char) ? char : `%${hex.toUpperCase()}`;
+});
+
+// Canonical http(s) URL, or the input unchanged when it isn't one
+const canonicalizeURL = (url) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return url;
+  }
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    return url;
+  }
+
+  target.pathname = normalizeEscapes(target.pathname);
+  // Assigning '' removes a bare "?" or "#"
+  target.search = normalizeEscapes(target.search);
+  target.hash = normalizeEscapes(target.hash);
+
+  return target.toString();
+};
+
+module.exports = {
+  canonicalizeURL
+};
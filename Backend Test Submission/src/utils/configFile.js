@@ -0,0 +1,35 @@
+const fs = require('fs');
+const { logger } = require('../middleware/logger');
+
+// Loader for an optional JSON config file that can be edited while the server runs.
+// The returned function gives prepare(parsedJson), re-reading the file only when its
+// mtime changes. A missing file gives `fallback`; a file that can't be read or parsed
+// keeps the last good content rather than silently dropping the configuration.
+const createConfigFileLoader = (filePath, { label, prepare, fallback }) => {
+  let cached = { mtimeMs: null, value: fallback };
+
+  return () => {
+    let stats;
+    try {
+      stats = fs.statSync(filePath);
+    } catch (error) {
+      return fallback;
+    }
+
+    if (stats.mtimeMs !== cached.mtimeMs) {
+      try {
+        const value = prepare(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+        cached = { mtimeMs: stats.mtimeMs, value };
+        logger.info(`${label} loaded`, { file: filePath });
+      } catch (error) {
+        logger.error(`Could not read ${label.toLowerCase()} file`, { file: filePath, error: error.message });
+      }
+    }
+
+    return cached.value;
+  };
+};
+
+module.exports = {
+  createConfigFileLoader
+};
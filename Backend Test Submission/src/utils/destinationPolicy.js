@@ -0,0 +1,217 @@
+const path = require('path');
+const { isValidURL } = require('./helpers');
+const { createConfigFileLoader } = require('./configFile');
+const { isReservedShortcode } = require('./shortcodePolicy');
+const { isPrivateIP } = require('./ipRanges');
+
+// Which destinations a short link may point at. Every URL a link can redirect to
+// (originalUrl, fallbackUrl, rule and variant URLs) is checked on create and edit.
+//
+// Rejections carry a reason code:
+//   UNSUPPORTED_SCHEME  anything but http(s), e.g. javascript:, data:, file:
+//   INVALID_URL         not a well-formed http(s) URL
+//   SELF_REFERENCE      our own host, but not a short link (e.g. the API itself)
+//   UNKNOWN_SHORT_LINK  a short link on our own host that doesn't exist
+//   REDIRECT_LOOP       a chain of our own short links that leads back to this one
+//   CHAIN_TOO_LONG      more than SHORT_LINK_MAX_CHAIN of our own short links in a row
+//   PRIVATE_ADDRESS     localhost, private, link-local or reserved IP ranges
+//   DOMAIN_DENIED       a domain on the deny list
+//   DOMAIN_NOT_ALLOWED  allow list in use and the domain isn't on it
+//
+// The domain lists live in DOMAIN_POLICY_FILE (default config/domain-policy.json):
+//   { "allow": ["example.com"], "deny": ["bad.example.net"] }
+// An entry covers the domain and all its subdomains; deny wins over allow and an empty
+// allow list allows every domain. The file is re-read when it changes.
+//
+// Hostnames are not resolved, so a public name pointing at a private address passes.
+
+const POLICY_FILE = process.env.DOMAIN_POLICY_FILE || path.join(__dirname, '../../config/domain-policy.json');
+const MAX_CHAIN = parseInt(process.env.SHORT_LINK_MAX_CHAIN, 10) || 3;
+
+const PRIVATE_HOSTNAMES = ['localhost'];
+const PRIVATE_SUFFIXES = ['.localhost', '.local', '.internal', '.home.arpa'];
+
+const normalizeDomain = (domain) => String(domain).trim().toLowerCase().replace(/\.$/, '');
+
+// Allow/deny lists from the policy file; a missing file means no lists
+const loadDomainLists = createConfigFileLoader(POLICY_FILE, {
+  label: 'Domain policy',
+  fallback: { allow: [], deny: [] },
+  prepare: (parsed) => ({
+    allow: (parsed.allow || []).map(normalizeDomain).filter(Boolean),
+    deny: (parsed.deny || []).map(normalizeDomain).filter(Boolean)
+  })
+});
+
+const matchesDomain = (hostname, domains) => domains.some(domain => (
+  hostname === domain || hostname.endsWith(`.${domain}`)
+));
+
+const isPrivateHost = (hostname) => {
+  if (PRIVATE_HOSTNAMES.includes(hostname) || PRIVATE_SUFFIXES.some(suffix => hostname.endsWith(suffix))) {
+    return true;
+  }
+  return isPrivateIP(hostname.replace(/^\[|\]$/g, ''));
+};
+
+// Every URL a link record (or a set of changes to one) can send visitors to, with the
+// request field it came from
+const listDestinations = (link) => {
+  const destinations = [];
+  if (link.originalUrl) destinations.push({ field: 'url', url: link.originalUrl });
+  if (link.fallbackUrl) destinations.push({ field: 'fallbackUrl', url: link.fallbackUrl });
+  ['geoRules', 'deviceRules', 'variants'].forEach(field => {
+    (link[field] || []).forEach((rule, i) => destinations.push({ field: `${field}[${i}].url`, url: rule.url }));
+  });
+  if (link.scheduleRules) {
+    link.scheduleRules.rules.forEach((rule, i) => destinations.push({ field: `scheduleRules.rules[${i}].url`, url: rule.url }));
+  }
+  return destinations;
+};
+
+// Shortcode a URL on our own host redirects through, or null for other paths
+const getOwnShortcode = (target) => {
+  const match = /^\/([^/+]+)$/.exec(target.pathname);
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch (error) {
+    return match[1];
+  }
+};
+
+// Follow chained short links on our own host, breadth first, looking for a way back
+// to the link being created or edited. Codes are compared by lookupKey, so /ABC and /abc
+// count as the same link when shortcodes ignore case, and an alias counts as the link it
+// belongs to.
+const checkShortLinkChain = (firstShortcode, { shortcode, ownHosts, resolveLink, lookupKey = code => code }) => {
+  const seen = new Set();
+  let level = [firstShortcode];
+
+  for (let depth = 1; level.length > 0; depth++) {
+    if (depth > MAX_CHAIN) {
+      return { code: 'CHAIN_TOO_LONG', message: `Destination goes through more than ${MAX_CHAIN} of our own short links` };
+    }
+
+    const next = [];
+    for (const code of level) {
+      const link = resolveLink(code);
+      const linkCode = link ? link.shortcode : code;
+      if (shortcode && (lookupKey(code) === lookupKey(shortcode) || lookupKey(linkCode) === lookupKey(shortcode))) {
+        return { code: 'REDIRECT_LOOP', message: `Destination leads back to /${shortcode}` };
+      }
+      if (!link) {
+        return { code: 'UNKNOWN_SHORT_LINK', message: `Destination is our own short link /${code}, which does not exist` };
+      }
+      if (seen.has(lookupKey(linkCode))) continue;
+      seen.add(lookupKey(linkCode));
+
+      listDestinations(link).forEach(({ url }) => {
+        const target = new URL(url);
+        if (ownHosts.includes(normalizeDomain(target.hostname))) {
+          const nextCode = getOwnShortcode(target);
+          if (nextCode) next.push(nextCode);
+        }
+      });
+    }
+    level = next;
+  }
+
+  return null;
+};
+
+// Check that adding alias to link doesn't close a loop, or make a chain too long, for the
+// existing links that already point at /alias on our own host (e.g. one whose target was
+// purged, freeing the code). links is every stored link; context is as for
+// checkDestination, without shortcode. Returns null when fine, else
+// { shortcode, code, message } naming the first existing link that would break.
+const checkAliasChains = (alias, link, links, context) => {
+  const { ownHosts, resolveLink, lookupKey = code => code } = context;
+  const aliasKey = lookupKey(alias);
+  const resolveWithAlias = (code) => (lookupKey(code) === aliasKey ? link : resolveLink(code));
+
+  for (const existing of links) {
+    const pointsAtAlias = listDestinations(existing).some(({ url }) => {
+      const target = new URL(url);
+      const code = ownHosts.includes(normalizeDomain(target.hostname)) ? getOwnShortcode(target) : null;
+      return code !== null && lookupKey(code) === aliasKey;
+    });
+    if (!pointsAtAlias) continue;
+
+    const rejection = checkShortLinkChain(alias, { ...context, shortcode: existing.shortcode, resolveLink: resolveWithAlias });
+    if (rejection) {
+      return { shortcode: existing.shortcode, ...rejection };
+    }
+  }
+  return null;
+};
+
+// Check one destination URL. context: { shortcode, ownHosts, resolveLink, lookupKey } where
+// shortcode is the link being edited (if any), ownHosts the hostnames this service answers
+// on, resolveLink(shortcode) returns a stored link or null and the optional
+// lookupKey(shortcode) gives codes naming the same link the same key.
+// Returns null when allowed, else { code, message }.
+const checkDestination = (url, context) => {
+  let target;
+  try {
+    target = new URL(url);
+  } catch (error) {
+    return { code: 'INVALID_URL', message: 'A valid http(s) URL is required' };
+  }
+
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    return { code: 'UNSUPPORTED_SCHEME', message: `${target.protocol} URLs are not allowed; use http or https` };
+  }
+  const hostname = normalizeDomain(target.hostname);
+
+  if (context.ownHosts.includes(hostname)) {
+    const ownShortcode = getOwnShortcode(target);
+    if (!ownShortcode || isReservedShortcode(ownShortcode)) {
+      return { code: 'SELF_REFERENCE', message: 'Destination points at this service itself' };
+    }
+    return checkShortLinkChain(ownShortcode, context);
+  }
+
+  if (process.env.ALLOW_PRIVATE_DESTINATIONS !== 'true' && isPrivateHost(hostname)) {
+    return { code: 'PRIVATE_ADDRESS', message: `Destination host ${hostname} is a local or private address` };
+  }
+  if (!isValidURL(url)) {
+    return { code: 'INVALID_URL', message: 'A valid http(s) URL is required' };
+  }
+
+  const { allow, deny } = loadDomainLists();
+  if (matchesDomain(hostname, deny)) {
+    return { code: 'DOMAIN_DENIED', message: `Destination domain ${hostname} is blocked` };
+  }
+  if (allow.length > 0 && !matchesDomain(hostname, allow)) {
+    return { code: 'DOMAIN_NOT_ALLOWED', message: `Destination domain ${hostname} is not on the allow list` };
+  }
+
+  return null;
+};
+
+// Check every destination of a link (or of a set of changes to one).
+// Returns null when all are allowed, else { field, code, message } for the first rejection.
+const checkLinkDestinations = (link, context) => {
+  for (const { field, url } of listDestinations(link)) {
+    const rejection = checkDestination(url, context);
+    if (rejection) {
+      return { field, ...rejection };
+    }
+  }
+  return null;
+};
+
+// Hostnames that reach this service: the request's own Host plus SHORT_LINK_HOSTS
+const getOwnHosts = (req) => {
+  const configured = (process.env.SHORT_LINK_HOSTS || '').split(',').map(normalizeDomain).filter(Boolean);
+  return [normalizeDomain(req.hostname || ''), ...configured].filter(Boolean);
+};
+
+module.exports = {
+  checkDestination,
+  checkLinkDestinations,
+  checkAliasChains,
+  listDestinations,
+  getOwnHosts
+};
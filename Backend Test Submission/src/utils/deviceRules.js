@@ -0,0 +1,92 @@
+const { isValidURL } = require('./helpers');
+const { OS_FAMILIES, DEVICE_TYPES } = require('./userAgent');
+const { getRuleName, validateRuleName } = require('./ruleNames');
+
+// Per-link device/OS routing, evaluated in order; the first matching rule wins.
+// A rule matches when every criterion it sets matches the visitor's User-Agent.
+//
+// deviceRules = [
+//   { name: 'ios', os: ['ios'], url: 'https://apps.apple.com/app/id123' },
+//   { name: 'android', os: ['android'], url: 'https://play.google.com/store/apps/details?id=x' },
+//   { name: 'desktop', device: ['desktop'], url: 'https://example.com' }
+// ]
+
+const MAX_DEVICE_RULES = 20;
+
+const validateList = (value, allowed, field) => {
+  if (value === undefined) return null;
+  if (!Array.isArray(value) || value.length === 0) {
+    return `${field} must be a non-empty array`;
+  }
+  const invalid = value.find(item => typeof item !== 'string' || !allowed.includes(item.toLowerCase()));
+  if (invalid !== undefined) {
+    return `${field} contains ${JSON.stringify(invalid)}; allowed values: ${allowed.join(', ')}`;
+  }
+  return null;
+};
+
+// Check deviceRules from a create/edit request; returns an error message or null
+const validateDeviceRules = (rules) => {
+  if (rules === null) return null;
+  if (!Array.isArray(rules)) {
+    return 'deviceRules must be an array of { name, os, device, url } rules';
+  }
+  if (rules.length > MAX_DEVICE_RULES) {
+    return `deviceRules may contain at most ${MAX_DEVICE_RULES} rules`;
+  }
+
+  const names = new Set();
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    if (!rule || typeof rule !== 'object') {
+      return `deviceRules[${i}] must be an object`;
+    }
+    const nameError = validateRuleName(rule, i, `deviceRules[${i}]`, names);
+    if (nameError) {
+      return nameError;
+    }
+
+    if (rule.os === undefined && rule.device === undefined) {
+      return `deviceRules[${i}] must set os, device or both`;
+    }
+    const listError = validateList(rule.os, OS_FAMILIES, `deviceRules[${i}].os`)
+      || validateList(rule.device, DEVICE_TYPES, `deviceRules[${i}].device`);
+    if (listError) {
+      return listError;
+    }
+
+    if (typeof rule.url !== 'string' || !isValidURL(rule.url.trim())) {
+      return `deviceRules[${i}].url must be a valid http(s) URL`;
+    }
+  }
+
+  return null;
+};
+
+// Device rules as stored: named, with lowercased and deduplicated os/device lists
+const normalizeDeviceRules = (rules) => {
+  if (!rules || rules.length === 0) return null;
+  return rules.map((rule, i) => {
+    const normalized = { name: getRuleName(rule, i) };
+    if (rule.os) normalized.os = Array.from(new Set(rule.os.map(os => os.toLowerCase())));
+    if (rule.device) normalized.device = Array.from(new Set(rule.device.map(device => device.toLowerCase())));
+    normalized.url = rule.url.trim();
+    return normalized;
+  });
+};
+
+// First rule matching a parseUserAgent result, or null
+const matchDeviceRule = (rules, agent) => {
+  if (!rules || !agent) return null;
+  return rules.find(rule => (
+    (!rule.os || rule.os.includes(agent.os)) &&
+    (!rule.device || rule.device.includes(agent.device))
+  )) || null;
+};
+
+module.exports = {
+  MAX_DEVICE_RULES,
+  validateDeviceRules,
+  normalizeDeviceRules,
+  matchDeviceRule
+};
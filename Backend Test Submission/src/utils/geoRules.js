@@ -0,0 +1,80 @@
+const { isValidURL } = require('./helpers');
+const { getRuleName, validateRuleName } = require('./ruleNames');
+
+// Per-link country routing, evaluated in order; the first matching rule wins and
+// visitors matching none go to the link's originalUrl.
+//
+// geoRules = [
+//   { name: 'south-asia', countries: ['IN', 'BD'], url: 'https://example.com/in' },
+//   { name: 'europe', countries: ['EU'], url: 'https://example.com/eu' }
+// ]
+//
+// countries are ISO 3166-1 alpha-2 codes as reported by geoip-lite; the group code
+// EU matches any EU member state.
+
+const MAX_GEO_RULES = 20;
+const COUNTRY_GROUPS = ['EU'];
+
+// Check geoRules from a create/edit request; returns an error message or null
+const validateGeoRules = (rules) => {
+  if (rules === null) return null;
+  if (!Array.isArray(rules)) {
+    return 'geoRules must be an array of { name, countries, url } rules';
+  }
+  if (rules.length > MAX_GEO_RULES) {
+    return `geoRules may contain at most ${MAX_GEO_RULES} rules`;
+  }
+
+  const names = new Set();
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    if (!rule || typeof rule !== 'object') {
+      return `geoRules[${i}] must be an object`;
+    }
+    const nameError = validateRuleName(rule, i, `geoRules[${i}]`, names);
+    if (nameError) {
+      return nameError;
+    }
+
+    if (!Array.isArray(rule.countries) || rule.countries.length === 0) {
+      return `geoRules[${i}].countries must be a non-empty array of country codes`;
+    }
+    const invalid = rule.countries.find(code => (
+      typeof code !== 'string' || (!/^[A-Za-z]{2}$/.test(code) && !COUNTRY_GROUPS.includes(code.toUpperCase()))
+    ));
+    if (invalid !== undefined) {
+      return `geoRules[${i}].countries contains an invalid country code: ${JSON.stringify(invalid)}`;
+    }
+
+    if (typeof rule.url !== 'string' || !isValidURL(rule.url.trim())) {
+      return `geoRules[${i}].url must be a valid http(s) URL`;
+    }
+  }
+
+  return null;
+};
+
+// Geo rules as stored: named, with uppercased and deduplicated country codes
+const normalizeGeoRules = (rules) => {
+  if (!rules || rules.length === 0) return null;
+  return rules.map((rule, i) => ({
+    name: getRuleName(rule, i),
+    countries: Array.from(new Set(rule.countries.map(code => code.toUpperCase()))),
+    url: rule.url.trim()
+  }));
+};
+
+// First rule matching a geoip-lite lookup result, or null
+const matchGeoRule = (rules, geo) => {
+  if (!rules || !geo || !geo.country) return null;
+  return rules.find(rule => rule.countries.some(code => (
+    code === geo.country || (code === 'EU' && geo.eu === '1')
+  ))) || null;
+};
+
+module.exports = {
+  MAX_GEO_RULES,
+  validateGeoRules,
+  normalizeGeoRules,
+  matchGeoRule
+};
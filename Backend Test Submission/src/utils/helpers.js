@@ -1,6 +1,7 @@
 const validator = require('validator');
 const geoip = require('geoip-lite');
 const { logger } = require('../middleware/logger');
+const { isPrivateIP } = require('./ipRanges');
 
 // Validate URL format
 const isValidURL = (url) => {
@@ -23,11 +24,105 @@ const isValidValidity = (validity) => {
   return Number.isInteger(validity) && validity > 0 && validity <= 525600; // Max 1 year
 };
 
+// Parse an ISO 8601 date string, returns null when invalid
+const parseISODate = (value) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Work out a link's active window from a create or edit request body.
+// Expiry comes from exactly one of validity (minutes from activation), expiresAt (ISO) or
+// neverExpires; startsAt (ISO) delays activation, and validity then counts from startsAt
+// rather than from now. On create, a missing expiry falls back to the default validity;
+// on edit (isUpdate) missing fields are left unchanged, and validity counts from the link's
+// stored currentStartsAt while that activation is still ahead.
+// Returns { errors, window } where window holds expiresAt, validityMinutes and startsAt
+// only for the fields that were given (expiresAt null means never expires).
+const parseLinkWindow = (body, { isUpdate = false, defaultValidity = 30, currentStartsAt = null } = {}) => {
+  const errors = {};
+  const window = {};
+  const now = new Date();
+  const { expiresAt, neverExpires, startsAt } = body;
+  // Creation has always treated a falsy validity as "use the default"
+  const validity = isUpdate ? body.validity : (body.validity || undefined);
+  // Validity runs from activation; an invalid startsAt is reported below
+  const start = parseISODate(startsAt);
+  const pendingStart = startsAt === undefined ? parseISODate(currentStartsAt) : null;
+  const validFrom = start || (pendingStart && pendingStart > now ? pendingStart : now);
+
+  const expiryOptions = [validity !== undefined, expiresAt !== undefined, neverExpires !== undefined]
+    .filter(Boolean).length;
+
+  if (expiryOptions > 1) {
+    errors.expiresAt = 'Provide only one of validity, expiresAt or neverExpires';
+  } else if (validity !== undefined) {
+    if (validity === null || !isValidValidity(validity)) {
+      errors.validity = 'Validity must be a positive integer representing minutes (max 525600).';
+    } else {
+      window.expiresAt = new Date(validFrom.getTime() + validity * 60 * 1000).toISOString();
+      window.validityMinutes = validity;
+    }
+  } else if (expiresAt !== undefined) {
+    const expiry = parseISODate(expiresAt);
+    if (!expiry) {
+      errors.expiresAt = 'expiresAt must be an ISO 8601 date string';
+    } else if (expiry <= now) {
+      errors.expiresAt = 'expiresAt must be in the future';
+    } else {
+      window.expiresAt = expiry.toISOString();
+      window.validityMinutes = Math.round((expiry - validFrom) / 60000);
+    }
+  } else if (neverExpires !== undefined) {
+    if (neverExpires !== true) {
+      errors.neverExpires = 'neverExpires must be true when provided';
+    } else {
+      window.expiresAt = null;
+      window.validityMinutes = null;
+    }
+  } else if (!isUpdate) {
+    window.expiresAt = new Date(validFrom.getTime() + defaultValidity * 60 * 1000).toISOString();
+    window.validityMinutes = defaultValidity;
+  }
+
+  if (startsAt === null && isUpdate) {
+    window.startsAt = null; // clear a scheduled activation
+  } else if (startsAt !== undefined) {
+    if (!start) {
+      errors.startsAt = 'startsAt must be an ISO 8601 date string';
+    } else if (window.expiresAt && start >= new Date(window.expiresAt)) {
+      errors.startsAt = 'startsAt must be before the expiry time';
+    } else {
+      window.startsAt = start.toISOString();
+    }
+  }
+
+  return { errors, window };
+};
+
+// HTTP statuses a short link may redirect with
+const REDIRECT_TYPES = [301, 302, 307, 308];
+
+// Validate optional redirect status
+const isValidRedirectType = (redirectType) => {
+  if (redirectType === undefined || redirectType === null) return true; // Server default
+  return REDIRECT_TYPES.includes(redirectType);
+};
+
+// Whether a redirect status tells clients the move is permanent (cacheable)
+const isPermanentRedirect = (redirectType) => redirectType === 301 || redirectType === 308;
+
+// Validate optional click limit
+const isValidMaxClicks = (maxClicks) => {
+  if (maxClicks === undefined || maxClicks === null) return true; // Unlimited
+  return Number.isInteger(maxClicks) && maxClicks > 0;
+};
+
 // Get geographical location from IP
 const getLocationFromIP = (ip) => {
   try {
     // Handle localhost and private IPs
-    if (!ip || ip === '127.0.0.1' || ip === '::1' || ip.startsWith('192.168.') || ip.startsWith('10.') || ip.startsWith('172.')) {
+    if (!ip || isPrivateIP(String(ip).split(',')[0].trim())) {
       return 'Local/Private Network';
     }
 
@@ -42,6 +137,22 @@ const getLocationFromIP = (ip) => {
   }
 };
 
+// Raw geoip-lite record for an IP (null for private or unknown addresses).
+// Accepts X-Forwarded-For style lists and IPv4-mapped IPv6 addresses.
+const lookupGeo = (ip) => {
+  try {
+    if (!ip) return null;
+    const address = String(ip).split(',')[0].trim().replace(/^::ffff:/, '');
+    if (isPrivateIP(address)) {
+      return null;
+    }
+    return geoip.lookup(address) || null;
+  } catch (error) {
+    logger.error('Geolocation lookup error', { ip, error: error.message });
+    return null;
+  }
+};
+
 // Extract real IP from request
 const getRealIP = (req) => {
   return req.headers['x-forwarded-for'] || 
@@ -59,6 +170,16 @@ const sanitizeInput = (input) => {
   return input.trim();
 };
 
+// Copy of a request body that is safe to log (secrets masked)
+const redactSensitive = (body) => {
+  if (!body || typeof body !== 'object') return body;
+  const redacted = { ...body };
+  if (redacted.password !== undefined) {
+    redacted.password = '[REDACTED]';
+  }
+  return redacted;
+};
+
 // Format error response
 const formatErrorResponse = (message, statusCode = 400, details = null) => {
   const errorResponse = {
@@ -104,9 +225,17 @@ const startCleanupJob = (urlStorage, intervalMinutes = 30) => {
 module.exports = {
   isValidURL,
   isValidValidity,
+  isValidMaxClicks,
+  REDIRECT_TYPES,
+  isValidRedirectType,
+  isPermanentRedirect,
+  parseISODate,
+  parseLinkWindow,
   getLocationFromIP,
+  lookupGeo,
   getRealIP,
   sanitizeInput,
+  redactSensitive,
   formatErrorResponse,
   formatSuccessResponse,
   startCleanupJob
@@ -0,0 +1,180 @@
+// Server-rendered HTML pages for visitors who follow a short link in a browser.
+// API clients get JSON instead; see the redirect route in urlRoutes.js.
+
+const BRAND_NAME = process.env.BRAND_NAME || 'URL Shortener';
+
+// Escape text for safe interpolation into HTML
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Look and copy for each dead-link case, keyed by URLStorage link status
+const STATUS_THEMES = {
+  not_found: {
+    accent: '#1976d2',
+    icon: '🔍',
+    title: 'Link not found',
+    description: 'This short link does not exist. Check the address for typos.'
+  },
+  expired: {
+    accent: '#ed6c02',
+    icon: '⌛',
+    title: 'Link expired',
+    description: 'This short link has expired and no longer redirects.'
+  },
+  scheduled: {
+    accent: '#0288d1',
+    icon: '🗓️',
+    title: 'Link not active yet',
+    description: 'This short link has been created but is not live yet.'
+  },
+  paused: {
+    accent: '#9c27b0',
+    icon: '⏸️',
+    title: 'Link paused',
+    description: 'The owner of this short link has paused it. Try again later.'
+  },
+  deleted: {
+    accent: '#616161',
+    icon: '🗑️',
+    title: 'Link removed',
+    description: 'This short link has been removed by its owner.'
+  },
+  limit_reached: {
+    accent: '#d32f2f',
+    icon: '🚫',
+    title: 'Link used up',
+    description: 'This short link has reached its maximum number of uses.'
+  }
+};
+
+// Shared page chrome
+const renderLayout = ({ title, accent = '#1976d2', body }) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)} · ${escapeHtml(BRAND_NAME)}</title>
+  <style>
+    body { margin: 0; min-height: 100vh; display: flex; align-items: center; justify-content: center;
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #f5f5f5; color: #212121; }
+    .card { max-width: 480px; margin: 24px; padding: 32px; background: #fff; border-radius: 8px;
+      border-top: 4px solid ${accent}; box-shadow: 0 2px 8px rgba(0, 0, 0, 0.12); text-align: center; }
+    .brand { font-size: 14px; letter-spacing: 0.08em; text-transform: uppercase; color: #757575; }
+    .icon { font-size: 48px; margin: 16px 0 8px; }
+    h1 { font-size: 24px; margin: 0 0 12px; color: ${accent}; }
+    p { line-height: 1.5; margin: 0 0 12px; }
+    .meta { font-size: 13px; color: #757575; word-break: break-all; }
+    code { background: #eee; padding: 2px 6px; border-radius: 4px; }
+    .error { color: #d32f2f; font-weight: 600; }
+    form { display: flex; justify-content: center; gap: 8px; margin-top: 16px; }
+    input { flex: 1; padding: 10px; border: 1px solid #bdbdbd; border-radius: 4px; font-size: 16px; }
+    button, .button { padding: 10px 20px; border: 0; border-radius: 4px; background: ${accent}; color: #fff;
+      font-size: 16px; cursor: pointer; text-decoration: none; display: inline-block; }
+  </style>
+</head>
+<body>
+  <main class="card">
+    <div class="brand">${escapeHtml(BRAND_NAME)}</div>
+    ${body}
+  </main>
+</body>
+</html>
+`;
+
+// Page for a short link that can't be followed
+const renderStatusPage = ({ status, shortcode, statusCode, details = {} }) => {
+  const theme = STATUS_THEMES[status] || STATUS_THEMES.not_found;
+  const meta = [];
+
+  if (details.startsAt) {
+    meta.push(`Goes live ${escapeHtml(new Date(details.startsAt).toUTCString())}`);
+  }
+  if (details.expiredAt) {
+    meta.push(`Expired ${escapeHtml(new Date(details.expiredAt).toUTCString())}`);
+  }
+
+  return renderLayout({
+    title: theme.title,
+    accent: theme.accent,
+    body: `<div class="icon">${theme.icon}</div>
+    <h1>${escapeHtml(theme.title)}</h1>
+    <p>${escapeHtml(theme.description)}</p>
+    <p class="meta">Short code <code>${escapeHtml(shortcode)}</code> · HTTP ${escapeHtml(statusCode)}</p>
+    ${meta.map(line => `<p class="meta">${line}</p>`).join('\n    ')}`
+  });
+};
+
+// Unlock form for a password-protected short link; posts back to the short link itself,
+// keeping the visitor's query string so it can be passed through after the unlock
+const renderPasswordPage = ({ shortcode, search = '', error = null }) => renderLayout({
+  title: 'Password required',
+  body: `<div class="icon">🔒</div>
+    <h1>Password required</h1>
+    <p>This short link is protected. Enter the password to continue.</p>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <form method="post" action="/${encodeURIComponent(shortcode)}${escapeHtml(search)}">
+      <input type="password" name="password" autocomplete="current-password" required autofocus>
+      <button type="submit">Continue</button>
+    </form>`
+});
+
+// Facts about a link from URLStorage.getPreview, shared by the preview and interstitial pages
+const renderPreviewDetails = (preview) => {
+  let destination = '<p class="meta">Destination hidden: this link can only be followed a limited number of times.</p>';
+  if (preview.passwordProtected) {
+    destination = '<p class="meta">Destination hidden: this link is password protected.</p>';
+  } else if (preview.destination) {
+    destination = `<p class="meta"><a href="${escapeHtml(preview.destination)}" rel="nofollow noopener">${escapeHtml(preview.destination)}</a></p>`;
+  }
+  const lines = [
+    `Created ${escapeHtml(new Date(preview.createdAt).toUTCString())}`,
+    preview.expiresAt ? `Expires ${escapeHtml(new Date(preview.expiresAt).toUTCString())}` : 'Never expires',
+    `${escapeHtml(preview.totalClicks)} click${preview.totalClicks === 1 ? '' : 's'}`
+  ];
+  if (preview.destinationVaries) {
+    lines.push('Some visitors are sent elsewhere, depending on their device, location, the time or an A/B test.');
+  }
+
+  return `${destination}
+    ${lines.map(line => `<p class="meta">${line}</p>`).join('\n    ')}`;
+};
+
+// Where a short link goes, shown without following it
+const renderPreviewPage = ({ preview }) => renderLayout({
+  title: 'Link preview',
+  body: `<div class="icon">👀</div>
+    <h1>Link preview</h1>
+    <p>Short code <code>${escapeHtml(preview.shortcode)}</code> leads to:</p>
+    ${renderPreviewDetails(preview)}
+    ${preview.status === 'active'
+    ? `<p><a class="button" href="/${encodeURIComponent(preview.shortcode)}">Open link</a></p>`
+    : `<p class="error">${escapeHtml((STATUS_THEMES[preview.status] || STATUS_THEMES.not_found).title)}</p>`}`
+});
+
+// Warning shown before following a link that has the interstitial flag; continuing posts
+// back to the short link itself, keeping the visitor's query string
+const renderInterstitialPage = ({ preview, search = '' }) => renderLayout({
+  title: 'You are leaving',
+  accent: '#ed6c02',
+  body: `<div class="icon">⚠️</div>
+    <h1>You are leaving</h1>
+    <p>This short link takes you to another site. Check the address before you continue.</p>
+    ${renderPreviewDetails(preview)}
+    <form method="post" action="/${encodeURIComponent(preview.shortcode)}${escapeHtml(search)}">
+      <button type="submit">Continue</button>
+    </form>`
+});
+
+module.exports = {
+  escapeHtml,
+  renderLayout,
+  renderStatusPage,
+  renderPasswordPage,
+  renderPreviewPage,
+  renderInterstitialPage
+};
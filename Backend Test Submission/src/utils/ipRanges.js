@@ -0,0 +1,59 @@
+const net = require('net');
+
+// Private, loopback, link-local and reserved address ranges, shared by the destination
+// policy (no redirects into internal networks) and geo lookups (no location for them).
+
+// [first address, prefix length]
+const PRIVATE_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+];
+
+const ipv4ToNumber = (ip) => ip.split('.').reduce((value, octet) => value * 256 + parseInt(octet, 10), 0);
+
+const isPrivateIPv4 = (ip) => {
+  const value = ipv4ToNumber(ip);
+  return PRIVATE_IPV4_RANGES.some(([base, bits]) => {
+    const size = 2 ** (32 - bits);
+    const start = ipv4ToNumber(base);
+    return value >= start && value < start + size;
+  });
+};
+
+const isPrivateIPv6 = (ip) => {
+  const address = ip.toLowerCase();
+  if (address === '::' || address === '::1') return true;
+
+  // IPv4-mapped, which the URL parser writes in hex: ::ffff:7f00:1
+  const mapped = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/.exec(address);
+  if (mapped) {
+    if (mapped[1]) return isPrivateIPv4(mapped[1]);
+    const high = parseInt(mapped[2], 16);
+    const low = parseInt(mapped[3], 16);
+    return isPrivateIPv4(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+
+  // fc00::/7 unique local, fe80::/10 link-local, ff00::/8 multicast
+  return /^f[cd]/.test(address) || /^fe[89ab]/.test(address) || /^ff/.test(address);
+};
+
+// Whether an IP address (v4 or v6) is in a private or reserved range; false for anything
+// that isn't an IP address
+const isPrivateIP = (ip) => {
+  if (net.isIPv4(ip)) return isPrivateIPv4(ip);
+  if (net.isIPv6(ip)) return isPrivateIPv6(ip);
+  return false;
+};
+
+module.exports = {
+  isPrivateIP
+};
@@ -0,0 +1,131 @@
+const {
+  isValidURL,
+  isValidMaxClicks,
+  isValidRedirectType,
+  REDIRECT_TYPES,
+  parseLinkWindow,
+  sanitizeInput
+} = require('./helpers');
+const { isValidLinkPassword } = require('./linkPassword');
+const { validateQueryPolicy, normalizeQueryPolicy } = require('./queryPolicy');
+const { validateGeoRules, normalizeGeoRules } = require('./geoRules');
+const { validateDeviceRules, normalizeDeviceRules } = require('./deviceRules');
+const { validateScheduleRules, normalizeScheduleRules } = require('./scheduleRules');
+const { validateVariants, normalizeVariants } = require('./variants');
+
+// Validate the optional per-link settings accepted by create (single and batch) and edit.
+// Returns { errors, options }: errors is keyed by request field, options holds only the
+// settings that were given, in the shape createShortURL / updateShortURL expect.
+// currentStartsAt is the edited link's stored activation time, see parseLinkWindow.
+const parseLinkOptions = (body, { isUpdate = false, currentStartsAt = null } = {}) => {
+  const { errors, window } = parseLinkWindow(body, { isUpdate, currentStartsAt });
+  const options = { ...window };
+
+  if (body.maxClicks !== undefined) {
+    if (!isValidMaxClicks(body.maxClicks)) {
+      errors.maxClicks = 'maxClicks must be a positive integer.';
+    } else {
+      options.maxClicks = body.maxClicks; // null means unlimited
+    }
+  }
+
+  if (body.fallbackUrl !== undefined) {
+    const fallbackUrl = sanitizeInput(body.fallbackUrl);
+    if (fallbackUrl === null || fallbackUrl === '') {
+      options.fallbackUrl = null;
+    } else if (typeof fallbackUrl !== 'string' || !isValidURL(fallbackUrl)) {
+      errors.fallbackUrl = 'fallbackUrl must be a valid http(s) URL';
+    } else {
+      options.fallbackUrl = fallbackUrl;
+    }
+  }
+
+  if (body.redirectType !== undefined) {
+    if (!isValidRedirectType(body.redirectType)) {
+      errors.redirectType = `redirectType must be one of ${REDIRECT_TYPES.join(', ')}`;
+    } else {
+      options.redirectType = body.redirectType; // null means server default
+    }
+  }
+
+  if (body.queryPolicy !== undefined) {
+    const policyError = validateQueryPolicy(body.queryPolicy);
+    if (policyError) {
+      errors.queryPolicy = policyError;
+    } else {
+      options.queryPolicy = normalizeQueryPolicy(body.queryPolicy); // null means drop the query
+    }
+  }
+
+  if (body.geoRules !== undefined) {
+    const geoError = validateGeoRules(body.geoRules);
+    if (geoError) {
+      errors.geoRules = geoError;
+    } else {
+      options.geoRules = normalizeGeoRules(body.geoRules); // null removes geo routing
+    }
+  }
+
+  if (body.deviceRules !== undefined) {
+    const deviceError = validateDeviceRules(body.deviceRules);
+    if (deviceError) {
+      errors.deviceRules = deviceError;
+    } else {
+      options.deviceRules = normalizeDeviceRules(body.deviceRules); // null removes device routing
+    }
+  }
+
+  if (body.scheduleRules !== undefined) {
+    const scheduleError = validateScheduleRules(body.scheduleRules);
+    if (scheduleError) {
+      errors.scheduleRules = scheduleError;
+    } else {
+      options.scheduleRules = normalizeScheduleRules(body.scheduleRules); // null removes schedule routing
+    }
+  }
+
+  if (body.variants !== undefined) {
+    const variantsError = validateVariants(body.variants);
+    if (variantsError) {
+      errors.variants = variantsError;
+    } else {
+      options.variants = normalizeVariants(body.variants); // null ends the experiment
+    }
+  }
+
+  if (body.stickyVariants !== undefined) {
+    if (typeof body.stickyVariants !== 'boolean') {
+      errors.stickyVariants = 'stickyVariants must be a boolean';
+    } else {
+      options.stickyVariants = body.stickyVariants;
+    }
+  }
+
+  if (body.interstitial !== undefined) {
+    if (typeof body.interstitial !== 'boolean') {
+      errors.interstitial = 'interstitial must be a boolean';
+    } else {
+      options.interstitial = body.interstitial;
+    }
+  }
+
+  if (body.password !== undefined) {
+    if (body.password === null || body.password === '') {
+      options.password = null; // remove protection
+    } else if (!isValidLinkPassword(body.password)) {
+      errors.password = 'password must be a string of 4-128 characters';
+    } else {
+      options.password = body.password;
+    }
+  }
+
+  return { errors, options };
+};
+
+// Machine-readable error code for an option field, e.g. maxClicks -> INVALID_MAX_CLICKS
+const getOptionErrorCode = (field) => `INVALID_${field.replace(/([A-Z])/g, '_$1').toUpperCase()}`;
+
+module.exports = {
+  parseLinkOptions,
+  getOptionErrorCode
+};
@@ -0,0 +1,32 @@
+const crypto = require('crypto');
+
+// Passwords on protected links are stored as "scrypt$<salt>$<hash>" (hex encoded)
+const KEY_LENGTH = 64;
+
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, storedHash) => {
+  if (typeof password !== 'string' || typeof storedHash !== 'string') return false;
+
+  const [scheme, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Validate a password given on create or edit
+const isValidLinkPassword = (password) => {
+  return typeof password === 'string' && password.length >= 4 && password.length <= 128;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  isValidLinkPassword
+};
@@ -0,0 +1,128 @@
+// Per-link rules for the query string of the redirect destination.
+//
+// queryPolicy = {
+//   mode: 'drop' | 'passthrough' | 'utm' | 'both',
+//   utm: { utm_source: 'newsletter', utm_campaign: 'spring-{clickId}', ... },
+//   conflict: 'destination' | 'link' | 'incoming'
+// }
+//
+// mode picks the sources merged into the destination's own query: the visitor's incoming
+// query (passthrough), the link's fixed UTM parameters (utm) or both. conflict says which
+// source wins when a key appears in more than one: the destination URL's own value, the
+// link's UTM value, or the visitor's value. UTM values may contain {clickId}, replaced
+// with the id of the recorded click.
+
+const QUERY_MODES = ['drop', 'passthrough', 'utm', 'both'];
+const QUERY_CONFLICT_RULES = ['destination', 'link', 'incoming'];
+const UTM_KEYS = ['utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content', 'utm_id'];
+const CLICK_ID_PLACEHOLDER = /\{clickId\}/g;
+
+// Sources in increasing precedence for each conflict rule
+const PRECEDENCE = {
+  destination: ['incoming', 'link', 'destination'],
+  link: ['destination', 'incoming', 'link'],
+  incoming: ['destination', 'link', 'incoming']
+};
+
+// Validate a policy from a create/edit request, returns an error message or null
+const validateQueryPolicy = (policy) => {
+  if (policy === null) return null;
+  if (typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'queryPolicy must be an object';
+  }
+  if (!QUERY_MODES.includes(policy.mode)) {
+    return `queryPolicy.mode must be one of ${QUERY_MODES.join(', ')}`;
+  }
+  if (policy.conflict !== undefined && !QUERY_CONFLICT_RULES.includes(policy.conflict)) {
+    return `queryPolicy.conflict must be one of ${QUERY_CONFLICT_RULES.join(', ')}`;
+  }
+
+  const utm = policy.utm || {};
+  if (typeof utm !== 'object' || Array.isArray(utm)) {
+    return 'queryPolicy.utm must be an object of UTM parameters';
+  }
+  for (const [key, value] of Object.entries(utm)) {
+    if (!UTM_KEYS.includes(key)) {
+      return `Unsupported UTM parameter "${key}". Allowed: ${UTM_KEYS.join(', ')}`;
+    }
+    if (typeof value !== 'string' || !value.trim() || value.length > 200) {
+      return `UTM parameter "${key}" must be a non-empty string of at most 200 characters`;
+    }
+  }
+  if ((policy.mode === 'utm' || policy.mode === 'both') && Object.keys(utm).length === 0) {
+    return `queryPolicy.utm must contain at least one parameter when mode is "${policy.mode}"`;
+  }
+
+  return null;
+};
+
+// Normalized copy of a validated policy for storage
+const normalizeQueryPolicy = (policy) => {
+  if (!policy) return null;
+  const utm = {};
+  Object.entries(policy.utm || {}).forEach(([key, value]) => {
+    utm[key] = value.trim();
+  });
+  return {
+    mode: policy.mode,
+    utm,
+    conflict: policy.conflict || 'link'
+  };
+};
+
+// Build the destination URL for one click.
+// incomingSearch is the raw query string of the short link request ("?a=1" or "").
+const applyQueryPolicy = (destination, policy, incomingSearch = '', { clickId = '' } = {}) => {
+  if (!policy || policy.mode === 'drop') {
+    return destination;
+  }
+
+  const target = new URL(destination);
+  const sources = {
+    destination: new URLSearchParams(target.search),
+    link: new URLSearchParams(),
+    incoming: new URLSearchParams()
+  };
+
+  if (policy.mode === 'utm' || policy.mode === 'both') {
+    Object.entries(policy.utm || {}).forEach(([key, value]) => {
+      sources.link.append(key, value.replace(CLICK_ID_PLACEHOLDER, clickId));
+    });
+  }
+  if (policy.mode === 'passthrough' || policy.mode === 'both') {
+    sources.incoming = new URLSearchParams(incomingSearch);
+  }
+
+  // Later sources in the precedence list replace every value of a key set earlier
+  const merged = new URLSearchParams();
+  PRECEDENCE[policy.conflict || 'link'].forEach(source => {
+    const params = sources[source];
+    new Set(params.keys()).forEach(key => {
+      merged.delete(key);
+      params.getAll(key).forEach(value => merged.append(key, value));
+    });
+  });
+
+  const search = merged.toString();
+  target.search = search ? `?${search}` : '';
+  return target.toString();
+};
+
+// Whether a policy can give each request its own destination: a {clickId} in a UTM value
+// is unique per click, and passthrough copies whatever the visitor sent
+const isRequestSpecific = (policy) => {
+  if (!policy) return false;
+  if (policy.mode === 'passthrough' || policy.mode === 'both') return true;
+  return policy.mode === 'utm'
+    && Object.values(policy.utm || {}).some(value => value.includes('{clickId}'));
+};
+
+module.exports = {
+  QUERY_MODES,
+  QUERY_CONFLICT_RULES,
+  UTM_KEYS,
+  validateQueryPolicy,
+  normalizeQueryPolicy,
+  applyQueryPolicy,
+  isRequestSpecific
+};
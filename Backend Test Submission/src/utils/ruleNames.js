@@ -0,0 +1,28 @@
+// Names of per-link routing rules (geoRules, deviceRules, scheduleRules.rules). A rule's
+// name is how click statistics report it, so it must be unique within its list; rules
+// without one are called rule-1, rule-2, ... by position.
+
+const MAX_RULE_NAME_LENGTH = 50;
+
+// Stored name of the rule at index i
+const getRuleName = (rule, i) => (rule.name ? rule.name.trim() : `rule-${i + 1}`);
+
+// Check the name of the rule at index i and add it to names, the Set of names seen so far
+// in the list. field is the rule's path in the request, e.g. "geoRules[2]".
+// Returns an error message or null.
+const validateRuleName = (rule, i, field, names) => {
+  if (rule.name !== undefined && (typeof rule.name !== 'string' || !rule.name.trim() || rule.name.length > MAX_RULE_NAME_LENGTH)) {
+    return `${field}.name must be a non-empty string of at most ${MAX_RULE_NAME_LENGTH} characters`;
+  }
+  const name = getRuleName(rule, i);
+  if (names.has(name)) {
+    return `${field}.name "${name}" is used by another rule`;
+  }
+  names.add(name);
+  return null;
+};
+
+module.exports = {
+  getRuleName,
+  validateRuleName
+};
@@ -0,0 +1,254 @@
+const { isValidURL } = require('./helpers');
+const { getRuleName, validateRuleName } = require('./ruleNames');
+
+// Per-link routing by the visitor's click time, evaluated in the link's time zone; the
+// first matching rule wins and clicks matching none go to the link's originalUrl.
+//
+// scheduleRules = {
+//   timeZone: 'Asia/Kolkata',
+//   rules: [
+//     { name: 'live-chat', days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '09:00', to: '18:00', url: 'https://example.com/chat' },
+//     { name: 'holiday-sale', startDate: '2026-12-24', endDate: '2026-12-26', url: 'https://example.com/sale' }
+//   ]
+// }
+//
+// A rule sets any combination of days, an hour range (from/to, "HH:MM", to may be "24:00")
+// and a date window (startDate/endDate, "YYYY-MM-DD", both inclusive); criteria it leaves
+// out match any time. Hour ranges can't wrap past midnight: split a night shift into two
+// rules. Rules may not overlap, so which rule applies at any moment is never ambiguous.
+// timeZone defaults to SCHEDULE_TIME_ZONE, or UTC.
+
+const MAX_SCHEDULE_RULES = 20;
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MINUTES_PER_DAY = 24 * 60;
+
+const getDefaultTimeZone = () => process.env.SCHEDULE_TIME_ZONE || 'UTC';
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// "HH:MM" -> minutes since midnight, or null
+const parseClockTime = (value) => {
+  const match = typeof value === 'string' && /^(\d{2}):(\d{2})$/.exec(value);
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes !== 0)) return null;
+  return hours * 60 + minutes;
+};
+
+// "YYYY-MM-DD" that names a real calendar day
+const isValidDate = (value) => {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+};
+
+// Whether any calendar day in an inclusive date window falls on one of the given weekdays
+const windowHasWeekday = (startDate, endDate, days) => {
+  const wanted = days.map(day => day.toLowerCase());
+  const date = new Date(`${startDate}T00:00:00Z`);
+  for (let i = 0; i < 7 && date.toISOString().slice(0, 10) <= endDate; i++) {
+    if (wanted.includes(WEEKDAYS[date.getUTCDay()])) return true;
+    date.setUTCDate(date.getUTCDate() + 1);
+  }
+  return false;
+};
+
+// Wall-clock parts of an instant in a time zone: { date: 'YYYY-MM-DD', day: 'mon', minutes }
+const getLocalTime = (timeZone, at = new Date()) => {
+  const parts = {};
+  new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(at).forEach(part => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    day: parts.weekday.toLowerCase(),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+};
+
+const formatMinutes = (minutes) => `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+
+// Human-readable description of when two normalized rules both apply, or null if never
+const describeOverlap = (a, b) => {
+  const startDate = [a.startDate, b.startDate].filter(Boolean).sort().pop() || null;
+  const endDate = [a.endDate, b.endDate].filter(Boolean).sort().shift() || null;
+  if (startDate && endDate && startDate > endDate) return null;
+
+  // Shared weekdays, and of those only the ones the shared date window contains
+  const days = (a.days || WEEKDAYS).filter(day => (
+    (b.days || WEEKDAYS).includes(day)
+    && (!startDate || !endDate || windowHasWeekday(startDate, endDate, [day]))
+  ));
+  if (days.length === 0) return null;
+
+  const from = Math.max(parseClockTime(a.from || '00:00'), parseClockTime(b.from || '00:00'));
+  const to = Math.min(parseClockTime(a.to || '24:00'), parseClockTime(b.to || '24:00'));
+  if (from >= to) return null;
+
+  let when = `${days.join(', ')} ${formatMinutes(from)}-${formatMinutes(to)}`;
+  if (startDate || endDate) {
+    when += ` between ${startDate || 'any date'} and ${endDate || 'any date'}`;
+  }
+  return when;
+};
+
+// Validate a rule set from a create/edit request, returns an error message or null
+const validateScheduleRules = (schedule) => {
+  if (schedule === null) return null;
+  if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+    return 'scheduleRules must be an object with timeZone and rules';
+  }
+  if (schedule.timeZone !== undefined && !isValidTimeZone(schedule.timeZone)) {
+    return `scheduleRules.timeZone ${JSON.stringify(schedule.timeZone)} is not a valid IANA time zone, e.g. "Europe/Berlin"`;
+  }
+
+  const rules = schedule.rules;
+  if (!Array.isArray(rules) || rules.length === 0) {
+    return 'scheduleRules.rules must be a non-empty array of { name, days, from, to, startDate, endDate, url } rules';
+  }
+  if (rules.length > MAX_SCHEDULE_RULES) {
+    return `scheduleRules.rules may contain at most ${MAX_SCHEDULE_RULES} rules`;
+  }
+
+  const timeZone = schedule.timeZone || getDefaultTimeZone();
+  const today = getLocalTime(timeZone).date;
+  const names = new Set();
+
+  for (let i = 0; i < rules.length; i++) {
+    const rule = rules[i];
+    const field = `scheduleRules.rules[${i}]`;
+    if (!rule || typeof rule !== 'object') {
+      return `${field} must be an object`;
+    }
+    const nameError = validateRuleName(rule, i, field, names);
+    if (nameError) {
+      return nameError;
+    }
+
+    if ([rule.days, rule.from, rule.to, rule.startDate, rule.endDate].every(value => value === undefined)) {
+      return `${field} must set days, from/to, startDate/endDate or a combination`;
+    }
+
+    if (rule.days !== undefined) {
+      if (!Array.isArray(rule.days) || rule.days.length === 0) {
+        return `${field}.days must be a non-empty array of weekdays (${WEEKDAYS.join(', ')})`;
+      }
+      const invalid = rule.days.find(day => typeof day !== 'string' || !WEEKDAYS.includes(day.toLowerCase()));
+      if (invalid !== undefined) {
+        return `${field}.days contains ${JSON.stringify(invalid)}; allowed values: ${WEEKDAYS.join(', ')}`;
+      }
+    }
+
+    if ((rule.from === undefined) !== (rule.to === undefined)) {
+      return `${field} must set both from and to`;
+    }
+    if (rule.from !== undefined) {
+      const from = parseClockTime(rule.from);
+      const to = parseClockTime(rule.to);
+      if (from === null || from === MINUTES_PER_DAY) {
+        return `${field}.from must be a time between "00:00" and "23:59"`;
+      }
+      if (to === null) {
+        return `${field}.to must be a time between "00:00" and "24:00"`;
+      }
+      if (to <= from) {
+        return `${field}.to must be after from; split ranges that pass midnight into two rules`;
+      }
+    }
+
+    if (rule.startDate !== undefined && !isValidDate(rule.startDate)) {
+      return `${field}.startDate must be a real calendar date as "YYYY-MM-DD"`;
+    }
+    if (rule.endDate !== undefined && !isValidDate(rule.endDate)) {
+      return `${field}.endDate must be a real calendar date as "YYYY-MM-DD"`;
+    }
+    if (rule.startDate && rule.endDate && rule.endDate < rule.startDate) {
+      return `${field}.endDate must not be before startDate`;
+    }
+    if (rule.endDate && rule.endDate < today) {
+      return `${field}.endDate ${rule.endDate} has already passed in ${timeZone}`;
+    }
+    if (rule.days && rule.startDate && rule.endDate && !windowHasWeekday(rule.startDate, rule.endDate, rule.days)) {
+      return `${field} can never apply: no day between ${rule.startDate} and ${rule.endDate} falls on ${rule.days.join(', ')}`;
+    }
+
+    if (typeof rule.url !== 'string' || !isValidURL(rule.url.trim())) {
+      return `${field}.url must be a valid http(s) URL`;
+    }
+  }
+
+  const normalized = normalizeScheduleRules(schedule).rules;
+  for (let i = 0; i < normalized.length; i++) {
+    for (let j = 0; j < i; j++) {
+      const overlap = describeOverlap(normalized[j], normalized[i]);
+      if (overlap) {
+        return `scheduleRules.rules[${i}] "${normalized[i].name}" overlaps "${normalized[j].name}" on ${overlap}`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Normalized copy of a validated rule set for storage
+const normalizeScheduleRules = (schedule) => {
+  if (!schedule) return null;
+  return {
+    timeZone: schedule.timeZone || getDefaultTimeZone(),
+    rules: schedule.rules.map((rule, i) => {
+      const normalized = { name: getRuleName(rule, i) };
+      if (rule.days) {
+        const days = new Set(rule.days.map(day => day.toLowerCase()));
+        normalized.days = WEEKDAYS.filter(day => days.has(day));
+      }
+      if (rule.from !== undefined) {
+        normalized.from = rule.from;
+        normalized.to = rule.to;
+      }
+      if (rule.startDate) normalized.startDate = rule.startDate;
+      if (rule.endDate) normalized.endDate = rule.endDate;
+      normalized.url = rule.url.trim();
+      return normalized;
+    })
+  };
+};
+
+// First rule applying at the given instant, or null
+const matchScheduleRule = (schedule, at = new Date()) => {
+  if (!schedule || !schedule.rules) return null;
+
+  const local = getLocalTime(schedule.timeZone, at);
+  return schedule.rules.find(rule => (
+    (!rule.days || rule.days.includes(local.day))
+    && (rule.from === undefined || (local.minutes >= parseClockTime(rule.from) && local.minutes < parseClockTime(rule.to)))
+    && (!rule.startDate || local.date >= rule.startDate)
+    && (!rule.endDate || local.date <= rule.endDate)
+  )) || null;
+};
+
+module.exports = {
+  MAX_SCHEDULE_RULES,
+  WEEKDAYS,
+  validateScheduleRules,
+  normalizeScheduleRules,
+  matchScheduleRule
+};
@@ -0,0 +1,86 @@
+const path = require('path');
+const { createConfigFileLoader } = require('./configFile');
+const { logger } = require('../middleware/logger');
+
+// Which shortcodes may be used, for custom codes and generated ones alike.
+//
+// Rejections carry a reason code:
+//   RESERVED_SHORTCODE  the first path segment of a route the app serves, e.g. health
+//   BLOCKED_SHORTCODE   on the configured blocklist
+//   PROFANE_SHORTCODE   contains a word from the profanity list
+//
+// Route names are collected from the Express app once all routes are registered, see
+// registerReservedRoutes. The blocklist and profanity list live in SHORTCODE_POLICY_FILE
+// (default config/shortcode-policy.json):
+//   { "blocklist": ["admin", "login"], "profanity": ["..."] }
+// All comparisons ignore case, as Express routing does. Profanity is matched anywhere in
+// the code, also when spelled with digits (sh1t, 455).
+
+const POLICY_FILE = process.env.SHORTCODE_POLICY_FILE || path.join(__dirname, '../../config/shortcode-policy.json');
+
+const LEET_DIGITS = { 0: 'o', 1: 'i', 3: 'e', 4: 'a', 5: 's', 7: 't', 8: 'b' };
+
+const reservedRoutes = new Set();
+
+const loadLists = createConfigFileLoader(POLICY_FILE, {
+  label: 'Shortcode policy',
+  fallback: { blocklist: new Set(), profanity: [] },
+  prepare: (parsed) => ({
+    blocklist: new Set((parsed.blocklist || []).map(word => String(word).toLowerCase())),
+    profanity: (parsed.profanity || []).map(word => String(word).toLowerCase()).filter(Boolean)
+  })
+});
+
+// First literal segment of an Express route path ('/shorturls/:shortcode' -> 'shorturls')
+const getFirstSegment = (routePath) => {
+  if (typeof routePath !== 'string') return null; // regex routes
+  const segment = routePath.split('/').filter(Boolean)[0];
+  return segment && !segment.startsWith(':') && segment !== '*' ? segment.toLowerCase() : null;
+};
+
+// Reserve the first segment of every route on the app, including routers mounted at '/'.
+// Call after all routes are registered.
+const registerReservedRoutes = (app) => {
+  const collect = (stack) => stack.forEach(layer => {
+    if (layer.route) {
+      const paths = Array.isArray(layer.route.path) ? layer.route.path : [layer.route.path];
+      paths.map(getFirstSegment).filter(Boolean).forEach(segment => reservedRoutes.add(segment));
+    } else if (layer.name === 'router' && layer.regexp && layer.regexp.fast_slash) {
+      collect(layer.handle.stack);
+    }
+  });
+
+  collect(app._router ? app._router.stack : []);
+  logger.info('Reserved shortcodes registered from routes', { reserved: Array.from(reservedRoutes) });
+};
+
+const isReservedShortcode = (shortcode) => reservedRoutes.has(shortcode.toLowerCase());
+
+const containsProfanity = (shortcode, profanity) => {
+  const lower = shortcode.toLowerCase();
+  const spelled = lower.replace(/[0-9]/g, digit => LEET_DIGITS[digit] || digit);
+  return profanity.some(word => lower.includes(word) || spelled.includes(word));
+};
+
+// Returns null when the shortcode may be used, else { code, message }
+const checkShortcode = (shortcode) => {
+  if (isReservedShortcode(shortcode)) {
+    return { code: 'RESERVED_SHORTCODE', message: `"${shortcode}" is reserved for a route of this service` };
+  }
+
+  const { blocklist, profanity } = loadLists();
+  if (blocklist.has(shortcode.toLowerCase())) {
+    return { code: 'BLOCKED_SHORTCODE', message: `"${shortcode}" is not available as a shortcode` };
+  }
+  if (containsProfanity(shortcode, profanity)) {
+    return { code: 'PROFANE_SHORTCODE', message: 'Shortcode contains a word that is not allowed' };
+  }
+
+  return null;
+};
+
+module.exports = {
+  registerReservedRoutes,
+  isReservedShortcode,
+  checkShortcode
+};
@@ -0,0 +1,41 @@
+// Minimal User-Agent classification for device targeting and click statistics.
+// Only distinguishes what routing rules need: operating system family and device class.
+
+const OS_FAMILIES = ['ios', 'android', 'windows', 'macos', 'chromeos', 'linux', 'other'];
+const DEVICE_TYPES = ['mobile', 'tablet', 'desktop', 'bot'];
+
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|curl|wget|python-requests|headless/i;
+
+const detectOS = (ua) => {
+  if (/iPhone|iPad|iPod/i.test(ua)) return 'ios';
+  if (/Android/i.test(ua)) return 'android';
+  if (/Windows/i.test(ua)) return 'windows';
+  if (/CrOS/.test(ua)) return 'chromeos';
+  if (/Macintosh|Mac OS X/i.test(ua)) return 'macos';
+  if (/Linux|X11/i.test(ua)) return 'linux';
+  return 'other';
+};
+
+const detectDevice = (ua, os) => {
+  if (BOT_PATTERN.test(ua)) return 'bot';
+  if (/iPad|Tablet/i.test(ua) || (os === 'android' && !/Mobile/i.test(ua))) return 'tablet';
+  if (/Mobi|iPhone|iPod|Windows Phone/i.test(ua)) return 'mobile';
+  return 'desktop';
+};
+
+// Classify a User-Agent header, e.g. { os: 'ios', device: 'mobile' }
+const parseUserAgent = (userAgent) => {
+  const ua = typeof userAgent === 'string' ? userAgent : '';
+  if (!ua) {
+    return { os: 'other', device: 'desktop' };
+  }
+
+  const os = detectOS(ua);
+  return { os, device: detectDevice(ua, os) };
+};
+
+module.exports = {
+  OS_FAMILIES,
+  DEVICE_TYPES,
+  parseUserAgent
+};
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { isValidURL } = require('./helpers');
+
+// Weighted A/B destinations for one shortcode. Traffic not claimed by a device or geo
+// rule is split across the variants in proportion to their weights.
+//
+// variants = [
+//   { name: 'control', url: 'https://example.com/a', weight: 70 },
+//   { name: 'new-hero', url: 'https://example.com/b', weight: 30 }
+// ]
+
+const MIN_VARIANTS = 2;
+const MAX_VARIANTS = 10;
+const MAX_WEIGHT = 10000;
+
+// Validate variants from a create/edit request, returns an error message or null
+const validateVariants = (variants) => {
+  if (variants === null) return null;
+  if (!Array.isArray(variants) || variants.length < MIN_VARIANTS || variants.length > MAX_VARIANTS) {
+    return `variants must be an array of ${MIN_VARIANTS}-${MAX_VARIANTS} { name, url, weight } entries`;
+  }
+
+  const names = new Set();
+  for (let i = 0; i < variants.length; i++) {
+    const variant = variants[i];
+    if (!variant || typeof variant !== 'object') {
+      return `variants[${i}] must be an object`;
+    }
+    if (variant.name !== undefined && (typeof variant.name !== 'string' || !/^[\w-]{1,50}$/.test(variant.name.trim()))) {
+      return `variants[${i}].name must be 1-50 letters, digits, dashes or underscores`;
+    }
+    const name = variant.name ? variant.name.trim() : `variant-${i + 1}`;
+    if (names.has(name)) {
+      return `variants[${i}].name "${name}" is used by another variant`;
+    }
+    names.add(name);
+
+    if (typeof variant.url !== 'string' || !isValidURL(variant.url.trim())) {
+      return `variants[${i}].url must be a valid http(s) URL`;
+    }
+    if (!Number.isInteger(variant.weight) || variant.weight < 1 || variant.weight > MAX_WEIGHT) {
+      return `variants[${i}].weight must be an integer between 1 and ${MAX_WEIGHT}`;
+    }
+  }
+
+  return null;
+};
+
+// Normalized copy of validated variants for storage
+const normalizeVariants = (variants) => {
+  if (!variants) return null;
+  return variants.map((variant, i) => ({
+    name: variant.name ? variant.name.trim() : `variant-${i + 1}`,
+    url: variant.url.trim(),
+    weight: variant.weight
+  }));
+};
+
+// Weighted random pick
+const pickVariant = (variants) => {
+  const totalWeight = variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let ticket = crypto.randomInt(totalWeight);
+  for (const variant of variants) {
+    if (ticket < variant.weight) return variant;
+    ticket -= variant.weight;
+  }
+  return variants[variants.length - 1];
+};
+
+const findVariant = (variants, name) => {
+  if (!variants || !name) return null;
+  return variants.find(variant => variant.name === name) || null;
+};
+
+// Cookie remembering which variant a visitor got for one shortcode
+const getVariantCookieName = (shortcode) => `sl_variant_${shortcode}`;
+
+module.exports = {
+  MIN_VARIANTS,
+  MAX_VARIANTS,
+  validateVariants,
+  normalizeVariants,
+  pickVariant,
+  findVariant,
+  getVariantCookieName
+};
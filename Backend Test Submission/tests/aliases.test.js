@@ -0,0 +1,84 @@
+const request = require('supertest');
+const app = require('../src/app');
+const urlStorage = require('../src/models/urlStorage');
+
+const HOST = 'sho.rt';
+
+const create = (shortcode, url) => request(app).post('/shorturls').set('Host', HOST).send({ url, shortcode });
+const addAlias = (shortcode, alias) => request(app).post(`/shorturls/${shortcode}/aliases`).set('Host', HOST).send({ alias });
+const visit = (shortcode) => request(app).get(`/${shortcode}`).set('Accept', 'application/json');
+
+describe('link aliases', () => {
+  test('an alias redirects like the link and its clicks are counted per code', async () => {
+    await create('alias01', 'https://example.com/a');
+
+    const added = await addAlias('alias01', 'promo01');
+    expect(added.status).toBe(201);
+    expect(added.body.aliases.map(alias => alias.shortcode)).toEqual(['promo01']);
+
+    const viaAlias = await visit('promo01');
+    await visit('alias01');
+    await visit('promo01');
+    expect(viaAlias.status).toBe(302);
+    expect(viaAlias.headers.location).toBe('https://example.com/a');
+
+    const stats = await request(app).get('/shorturls/promo01');
+    expect(stats.body.shortcode).toBe('alias01');
+    expect(stats.body.totalClicks).toBe(3);
+    expect(stats.body.aliases.codes).toEqual([
+      expect.objectContaining({ shortcode: 'alias01', primary: true, clicks: 1 }),
+      expect.objectContaining({ shortcode: 'promo01', primary: false, clicks: 2 })
+    ]);
+  });
+
+  test('a removed alias stops resolving and its clicks are kept apart', async () => {
+    await create('alias02', 'https://example.com/b');
+    await addAlias('alias02', 'promo02');
+    await visit('promo02');
+
+    const removed = await request(app).delete('/shorturls/alias02/aliases/promo02');
+    expect(removed.status).toBe(200);
+    expect(removed.body.aliases).toEqual([]);
+
+    expect((await visit('promo02')).status).toBe(404);
+    const stats = await request(app).get('/shorturls/alias02');
+    expect(stats.body.aliases.removedAliasClicks).toBe(1);
+  });
+
+  test('aliases share the shortcode namespace', async () => {
+    await create('alias03', 'https://example.com/c');
+    await create('alias04', 'https://example.com/d');
+
+    const taken = await addAlias('alias03', 'alias04');
+    expect(taken.status).toBe(409);
+    expect(taken.body.details).toEqual({ code: 'SHORTCODE_TAKEN', field: 'alias' });
+
+    await addAlias('alias03', 'promo03');
+    const reused = await create('promo03', 'https://example.com/e');
+    expect(reused.status).toBe(409);
+  });
+
+  test('a link can\'t drop its own shortcode as an alias', async () => {
+    await create('alias05', 'https://example.com/f');
+
+    const res = await request(app).delete('/shorturls/alias05/aliases/alias05');
+
+    expect(res.status).toBe(400);
+    expect(res.body.details.code).toBe('PRIMARY_SHORTCODE');
+  });
+
+  test('rejects an alias that would close a loop through links already pointing at it', async () => {
+    await create('gone01', 'https://example.com/g');
+    await create('chain01', `https://${HOST}/gone01`);
+    await create('chain02', `https://${HOST}/chain01`);
+    // Purging frees the code while chain01 still points at it
+    urlStorage.purgeShortURL('gone01');
+
+    const res = await addAlias('chain02', 'gone01');
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual({ code: 'REDIRECT_LOOP', field: 'alias' });
+    expect(res.body.message).toBe('/chain01 points at /gone01: Destination leads back to /chain01');
+    expect((await addAlias('alias05', 'gone01')).status).toBe(201);
+  });
+});
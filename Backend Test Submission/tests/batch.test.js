@@ -0,0 +1,87 @@
+const request = require('supertest');
+const app = require('../src/app');
+const urlStorage = require('../src/models/urlStorage');
+
+describe('POST /shorturls/batch', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('creates the valid items and reports the invalid ones', async () => {
+    const res = await request(app).post('/shorturls/batch').send({
+      items: [
+        { url: 'https://example.com/one', shortcode: 'batch01' },
+        { url: 'not a url' }
+      ]
+    });
+
+    expect(res.status).toBe(207);
+    expect(res.body.summary).toEqual({ total: 2, successful: 1, failed: 1 });
+    expect(res.body.results[1].error.code).toBe('INVALID_URL');
+    expect(urlStorage.shortcodeExists('batch01')).toBe(true);
+  });
+
+  test('atomic batch with an invalid item creates nothing', async () => {
+    const res = await request(app).post('/shorturls/batch').send({
+      atomic: true,
+      items: [
+        { url: 'https://example.com/two', shortcode: 'batch02' },
+        { url: 'https://example.com/three', shortcode: 'x' }
+      ]
+    });
+
+    expect(res.status).toBe(422);
+    expect(res.body.results.map(result => result.error.code)).toEqual(['NOT_ATTEMPTED', 'INVALID_SHORTCODE']);
+    expect(urlStorage.shortcodeExists('batch02')).toBe(false);
+  });
+
+  test('atomic batch rolls back items created before one that fails', async () => {
+    const createShortURL = urlStorage.createShortURL.bind(urlStorage);
+    let calls = 0;
+    jest.spyOn(urlStorage, 'createShortURL').mockImplementation((...args) => {
+      calls++;
+      if (calls === 3) throw new Error('disk full');
+      return createShortURL(...args);
+    });
+    const before = urlStorage.listLinks().length;
+
+    const res = await request(app).post('/shorturls/batch').send({
+      atomic: true,
+      items: [
+        { url: 'https://example.com/four', shortcode: 'batch04' },
+        { url: 'https://example.com/five', shortcode: 'batch05' },
+        { url: 'https://example.com/six', shortcode: 'batch06' }
+      ]
+    });
+
+    expect(res.status).toBe(422);
+    expect(res.body.results[2].error).toEqual({ code: 'CREATE_FAILED', message: 'disk full' });
+    expect(res.body.results.slice(0, 2).map(result => result.error.code)).toEqual(['NOT_ATTEMPTED', 'NOT_ATTEMPTED']);
+    expect(urlStorage.listLinks()).toHaveLength(before);
+    expect(urlStorage.shortcodeExists('batch04')).toBe(false);
+    expect(urlStorage.shortcodeExists('batch05')).toBe(false);
+  });
+
+  test('rejects two items claiming the same shortcode', async () => {
+    const res = await request(app).post('/shorturls/batch').send({
+      items: [
+        { url: 'https://example.com/seven', shortcode: 'batch07' },
+        { url: 'https://example.com/eight', shortcode: 'batch07' }
+      ]
+    });
+
+    expect(res.status).toBe(207);
+    expect(res.body.results[1].error.code).toBe('DUPLICATE_SHORTCODE');
+  });
+
+  test('rejects an atomic flag that is not a boolean', async () => {
+    const res = await request(app).post('/shorturls/batch').send({
+      atomic: 'false',
+      items: [{ url: 'https://example.com/nine', shortcode: 'batch09' }]
+    });
+
+    expect(res.status).toBe(400);
+    expect(res.body.details).toEqual({ atomic: 'atomic must be a boolean' });
+    expect(urlStorage.shortcodeExists('batch09')).toBe(false);
+  });
+});
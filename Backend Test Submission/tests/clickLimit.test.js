@@ -0,0 +1,80 @@
+const request = require('supertest');
+const app = require('../src/app');
+const urlStorage = require('../src/models/urlStorage');
+
+const BROWSER = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+
+const createLink = (shortcode, maxClicks) => request(app)
+  .post('/shorturls')
+  .send({ url: `https://example.com/${shortcode}`, shortcode, maxClicks });
+
+const visit = (shortcode) => request(app)
+  .get(`/${shortcode}`)
+  .set('User-Agent', BROWSER)
+  .set('Accept', 'application/json');
+
+describe('click-limited links', () => {
+  test('concurrent visits never go past maxClicks', async () => {
+    await createLink('limit01', 3);
+
+    const responses = await Promise.all(Array.from({ length: 12 }, () => visit('limit01')));
+    const statuses = responses.map(res => res.status);
+
+    expect(statuses.filter(status => status === 302)).toHaveLength(3);
+    expect(statuses.filter(status => status === 410)).toHaveLength(9);
+    expect(urlStorage.driver.countClicks('limit01')).toBe(3);
+  });
+
+  test('answers with the click-limit error once the uses are gone', async () => {
+    await createLink('limit02', 1);
+    await visit('limit02');
+
+    const res = await visit('limit02');
+
+    expect(res.status).toBe(410);
+    expect(res.body.details.status).toBe('limit_reached');
+  });
+
+  test('probes get the preview without the destination and use up no clicks', async () => {
+    await createLink('limit03', 1);
+
+    const probes = await Promise.all([
+      request(app).head('/limit03').set('User-Agent', BROWSER),
+      request(app).get('/limit03').set('User-Agent', 'curl/8.0').set('Accept', 'application/json'),
+      request(app).get('/limit03').set('User-Agent', 'Googlebot/2.1 (+http://www.google.com/bot.html)')
+    ]);
+    probes.forEach(probe => {
+      expect(probe.status).toBe(200);
+      expect(probe.headers.location).toBeUndefined();
+      expect(probe.headers['cache-control']).toBe('no-store');
+    });
+    expect(probes[1].body).toEqual(expect.objectContaining({ destination: null, clickLimited: true }));
+    expect(probes[2].text).not.toContain('example.com/limit03');
+
+    const res = await visit('limit03');
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('https://example.com/limit03');
+    expect(urlStorage.driver.countClicks('limit03')).toBe(1);
+  });
+
+  test('permanent redirects of click-limited links are never cached', async () => {
+    await request(app).post('/shorturls').send({ url: 'https://example.com/limit04', shortcode: 'limit04', maxClicks: 1, redirectType: 301 });
+
+    const res = await visit('limit04');
+    const stats = await request(app).get('/shorturls/limit04');
+
+    expect(res.status).toBe(301);
+    expect(res.headers['cache-control']).toBe('no-store');
+    expect(stats.body.clickCounting).toMatch(/^exact/);
+  });
+
+  test('HEAD requests on links without a limit get the redirect but are not counted', async () => {
+    await request(app).post('/shorturls').send({ url: 'https://example.com/open01', shortcode: 'open01' });
+
+    const res = await request(app).head('/open01').set('User-Agent', BROWSER);
+
+    expect(res.status).toBe(302);
+    expect(res.headers.location).toBe('https://example.com/open01');
+    expect(urlStorage.driver.countClicks('open01')).toBe(0);
+  });
+});
@@ -0,0 +1,65 @@
+const CounterStrategy = require('../src/models/shortcodes/counterStrategy');
+const { ALPHABETS } = require('../src/models/shortcodes/keyspace');
+
+// Ten symbols, three characters and half the keyspace: codes grow to four characters at
+// id 500 and to five at id 5000
+const small = (secret = 'test-secret') => new CounterStrategy({
+  alphabet: '0123456789',
+  minLength: 3,
+  maxFillRatio: 0.5,
+  secret
+});
+
+describe('CounterStrategy', () => {
+  test('decodes every code back to the id it encodes, across length changes', () => {
+    const strategy = small();
+    const codes = new Set();
+
+    for (let id = 0; id < 6000; id++) {
+      const code = strategy.encode(id);
+      expect(strategy.decode(code)).toBe(id);
+      codes.add(code);
+    }
+
+    expect(codes.size).toBe(6000);
+    expect(strategy.encode(499)).toHaveLength(3);
+    expect(strategy.encode(500)).toHaveLength(4);
+    expect(strategy.encode(5000)).toHaveLength(5);
+  });
+
+  test('round-trips large ids with the default alphabet', () => {
+    const strategy = new CounterStrategy({ alphabet: ALPHABETS.base62, minLength: 6, maxFillRatio: 0.001, secret: 'x' });
+
+    [0, 1, 61, 62, 123456, 56800235, 56800236, 2 ** 40].forEach(id => {
+      expect(strategy.decode(strategy.encode(id))).toBe(id);
+    });
+  });
+
+  test('does not claim codes it cannot have generated', () => {
+    const strategy = small();
+    const fourCharacterCodes = Array.from({ length: 10000 }, (_, value) => String(value).padStart(4, '0'));
+
+    // Only ids 500-4999 get four characters; the other values of that keyspace are unused
+    expect(fourCharacterCodes.filter(code => strategy.decode(code) !== null)).toHaveLength(4500);
+    expect(strategy.decode('12')).toBeNull();
+    expect(strategy.decode('12a')).toBeNull();
+  });
+
+  test('continues after the highest existing code', () => {
+    const previous = small();
+    const existing = [previous.generate(), previous.generate(), previous.generate()];
+
+    const restarted = small();
+    restarted.init(['custom', existing[2], existing[0]]);
+
+    expect(restarted.generate()).toBe(previous.generate());
+  });
+
+  test('scrambles the sequence by secret', () => {
+    const a = small('one');
+    const b = small('two');
+    const sequence = (strategy) => Array.from({ length: 5 }, () => strategy.generate());
+
+    expect(sequence(a)).not.toEqual(sequence(b));
+  });
+});
@@ -0,0 +1,66 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const app = require('../src/app');
+const urlStorage = require('../src/models/urlStorage');
+const SQLiteDriver = require('../src/models/drivers/sqliteDriver');
+
+describe('POST /shorturls error mapping', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('running out of generated shortcodes is a server error', async () => {
+    jest.spyOn(urlStorage, 'generateUniqueShortcode').mockImplementation(() => {
+      throw new Error('Could not generate a unique shortcode after 10 attempts');
+    });
+
+    const res = await request(app).post('/shorturls').send({ url: 'https://example.com/full' });
+
+    expect(res.status).toBe(500);
+    expect(res.body.message).toBe('Internal server error while creating short URL');
+  });
+
+  test('a storage error is a server error, whatever its code', async () => {
+    jest.spyOn(urlStorage.driver, 'create').mockImplementation(() => {
+      throw Object.assign(new Error('database is locked'), { code: 'SQLITE_BUSY' });
+    });
+
+    const res = await request(app).post('/shorturls').send({ url: 'https://example.com/busy', shortcode: 'busy01' });
+
+    expect(res.status).toBe(500);
+  });
+
+  test('a shortcode claimed between the check and the insert is a 409', async () => {
+    jest.spyOn(urlStorage.driver, 'create').mockImplementation(() => {
+      throw Object.assign(new Error('Shortcode already exists. Please choose a different one.'), { code: 'SHORTCODE_TAKEN' });
+    });
+
+    const res = await request(app).post('/shorturls').send({ url: 'https://example.com/race', shortcode: 'race01' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.details).toEqual({ code: 'SHORTCODE_TAKEN', field: 'shortcode' });
+  });
+});
+
+describe('SQLiteDriver.create', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sqlite-driver-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('reports an existing shortcode as SHORTCODE_TAKEN', () => {
+    const driver = new SQLiteDriver(path.join(dir, 'urls.db'));
+    driver.create({ shortcode: 'abc123', originalUrl: 'https://example.com/' });
+
+    expect(() => driver.create({ shortcode: 'abc123', originalUrl: 'https://example.com/other' }))
+      .toThrow(expect.objectContaining({ code: 'SHORTCODE_TAKEN' }));
+    driver.db.close();
+  });
+});
@@ -0,0 +1,75 @@
+const request = require('supertest');
+const app = require('../src/app');
+const { canonicalizeURL } = require('../src/utils/canonicalUrl');
+
+const create = (body) => request(app).post('/shorturls').send(body);
+const shortcodeOf = (res) => res.body.shortLink.split('/').pop();
+
+describe('canonicalizeURL', () => {
+  test.each([
+    ['HTTPS://Example.COM:443', 'https://example.com/'],
+    ['http://example.com:80/a', 'http://example.com/a'],
+    ['https://example.com/?#', 'https://example.com/'],
+    ['https://bücher.example/', 'https://xn--bcher-kva.example/'],
+    ['https://example.com/%7euser', 'https://example.com/~user'],
+    ['https://example.com/a%2fb?q=%3d', 'https://example.com/a%2Fb?q=%3D']
+  ])('%s -> %s', (input, expected) => {
+    expect(canonicalizeURL(input)).toBe(expected);
+  });
+
+  test('keeps trailing slashes, query order and non-http input as given', () => {
+    expect(canonicalizeURL('https://example.com/docs/')).toBe('https://example.com/docs/');
+    expect(canonicalizeURL('https://example.com/?b=2&a=1')).toBe('https://example.com/?b=2&a=1');
+    expect(canonicalizeURL('mailto:someone@example.com')).toBe('mailto:someone@example.com');
+  });
+});
+
+describe('POST /shorturls with dedupe', () => {
+  test('reuses an active plain link for an equivalent destination', async () => {
+    const first = await create({ url: 'https://dedupe.example.com/page' });
+    const second = await create({ url: 'HTTPS://Dedupe.Example.com:443/page', dedupe: true });
+
+    expect(second.status).toBe(200);
+    expect(second.body.deduplicated).toBe(true);
+    expect(shortcodeOf(second)).toBe(shortcodeOf(first));
+  });
+
+  test('creates a new link without dedupe', async () => {
+    const first = await create({ url: 'https://dedupe.example.com/fresh' });
+    const second = await create({ url: 'https://dedupe.example.com/fresh' });
+
+    expect(second.status).toBe(201);
+    expect(shortcodeOf(second)).not.toBe(shortcodeOf(first));
+  });
+
+  test.each([
+    ['maxClicks', { maxClicks: 1 }],
+    ['interstitial', { interstitial: true }],
+    ['password', { password: 'secret1' }],
+    ['fallbackUrl', { fallbackUrl: 'https://example.com/gone' }],
+    ['redirectType', { redirectType: 301 }],
+    ['queryPolicy', { queryPolicy: { mode: 'passthrough' } }],
+    ['variants', { variants: [{ name: 'a', url: 'https://example.com/a', weight: 1 }, { name: 'b', url: 'https://example.com/b', weight: 1 }] }]
+  ])('never hands out an existing link with %s', async (field, settings) => {
+    const url = `https://dedupe.example.com/${field}`;
+    const existing = await create({ url, ...settings });
+    expect(existing.status).toBe(201);
+
+    const res = await create({ url, dedupe: true });
+
+    expect(res.status).toBe(201);
+    expect(res.body.deduplicated).toBeUndefined();
+    expect(shortcodeOf(res)).not.toBe(shortcodeOf(existing));
+  });
+
+  test('rejects dedupe combined with per-link settings or a custom shortcode', async () => {
+    const withSettings = await create({ url: 'https://dedupe.example.com/x', dedupe: true, maxClicks: 3, password: 'secret1' });
+    const withShortcode = await create({ url: 'https://dedupe.example.com/x', dedupe: true, shortcode: 'dedup01' });
+    const notBoolean = await create({ url: 'https://dedupe.example.com/x', dedupe: 'yes' });
+
+    expect(withSettings.status).toBe(400);
+    expect(withSettings.body.message).toBe('dedupe cannot be combined with maxClicks, password');
+    expect(withShortcode.status).toBe(400);
+    expect(notBoolean.status).toBe(400);
+  });
+});
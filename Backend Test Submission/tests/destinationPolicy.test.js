@@ -0,0 +1,82 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const policyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'domain-policy-'));
+process.env.DOMAIN_POLICY_FILE = path.join(policyDir, 'domain-policy.json');
+fs.writeFileSync(process.env.DOMAIN_POLICY_FILE, JSON.stringify({ deny: ['bad.example.net'] }));
+
+const { checkDestination, checkLinkDestinations } = require('../src/utils/destinationPolicy');
+
+// Stored links by shortcode, pointing at each other through sho.rt
+const links = {
+  aaa111: { shortcode: 'aaa111', originalUrl: 'https://sho.rt/bbb222' },
+  bbb222: { shortcode: 'bbb222', originalUrl: 'https://sho.rt/ccc333' },
+  ccc333: { shortcode: 'ccc333', originalUrl: 'https://example.com/' },
+  ddd444: { shortcode: 'ddd444', originalUrl: 'https://sho.rt/aaa111' }
+};
+
+const context = (shortcode = null) => ({
+  shortcode,
+  ownHosts: ['sho.rt'],
+  resolveLink: (code) => links[code] || null
+});
+
+afterAll(() => {
+  fs.rmSync(policyDir, { recursive: true, force: true });
+});
+
+describe('checkDestination', () => {
+  test.each([
+    ['javascript:alert(1)', 'UNSUPPORTED_SCHEME'],
+    ['ftp://example.com/file', 'UNSUPPORTED_SCHEME'],
+    ['not a url', 'INVALID_URL'],
+    ['https://sho.rt/api/stats', 'SELF_REFERENCE'],
+    ['https://sho.rt/zzz999', 'UNKNOWN_SHORT_LINK'],
+    ['http://localhost:3000/', 'PRIVATE_ADDRESS'],
+    ['http://10.1.2.3/', 'PRIVATE_ADDRESS'],
+    ['http://[::1]/', 'PRIVATE_ADDRESS'],
+    ['https://printer.local/', 'PRIVATE_ADDRESS'],
+    ['https://bad.example.net/', 'DOMAIN_DENIED'],
+    ['https://www.bad.example.net/', 'DOMAIN_DENIED']
+  ])('rejects %s with %s', (url, code) => {
+    expect(checkDestination(url, context())).toEqual(expect.objectContaining({ code }));
+  });
+
+  test('allows public destinations and existing short links', () => {
+    expect(checkDestination('https://example.com/page', context())).toBeNull();
+    expect(checkDestination('http://172.32.0.1/', context())).toBeNull();
+    expect(checkDestination('https://sho.rt/ccc333', context())).toBeNull();
+  });
+
+  test('rejects hosts outside a non-empty allow list', () => {
+    fs.writeFileSync(process.env.DOMAIN_POLICY_FILE, JSON.stringify({ allow: ['example.com'] }));
+    // mtime resolution can hide a rewrite within the same tick
+    const later = new Date(Date.now() + 5000);
+    fs.utimesSync(process.env.DOMAIN_POLICY_FILE, later, later);
+
+    expect(checkDestination('https://docs.example.com/', context())).toBeNull();
+    expect(checkDestination('https://other.example.org/', context())).toEqual(expect.objectContaining({ code: 'DOMAIN_NOT_ALLOWED' }));
+  });
+});
+
+describe('short link chains', () => {
+  test('detects a chain that leads back to the link being edited', () => {
+    expect(checkDestination('https://sho.rt/aaa111', context('ccc333'))).toEqual({
+      code: 'REDIRECT_LOOP',
+      message: 'Destination leads back to /ccc333'
+    });
+    expect(checkDestination('https://sho.rt/ccc333', context('ccc333'))).toEqual(expect.objectContaining({ code: 'REDIRECT_LOOP' }));
+  });
+
+  test('limits how many of our own links a destination may go through', () => {
+    expect(checkDestination('https://sho.rt/ddd444', context())).toEqual(expect.objectContaining({ code: 'CHAIN_TOO_LONG' }));
+  });
+
+  test('reports which field of a link was rejected', () => {
+    expect(checkLinkDestinations({
+      originalUrl: 'https://example.com/',
+      geoRules: [{ name: 'de', countries: ['DE'], url: 'https://sho.rt/aaa111' }]
+    }, context('bbb222'))).toEqual(expect.objectContaining({ field: 'geoRules[0].url', code: 'REDIRECT_LOOP' }));
+  });
+});
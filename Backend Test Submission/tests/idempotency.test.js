@@ -0,0 +1,65 @@
+const request = require('supertest');
+const app = require('../src/app');
+const urlStorage = require('../src/models/urlStorage');
+
+const create = (key, body) => request(app).post('/shorturls').set('Idempotency-Key', key).send(body);
+
+describe('Idempotency-Key on POST /shorturls', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('replays the first response instead of creating another link', async () => {
+    const before = urlStorage.listLinks().length;
+
+    const first = await create('replay-1', { url: 'https://example.com/replay', validity: 60 });
+    // Same body with the keys in another order
+    const second = await create('replay-1', { validity: 60, url: 'https://example.com/replay' });
+
+    expect(first.status).toBe(201);
+    expect(second.status).toBe(201);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(second.body).toEqual(first.body);
+    expect(urlStorage.listLinks()).toHaveLength(before + 1);
+  });
+
+  test('replays client errors too', async () => {
+    const first = await create('replay-2', { url: 'https://example.com', shortcode: 'x' });
+    const second = await create('replay-2', { url: 'https://example.com', shortcode: 'x' });
+
+    expect(first.status).toBe(400);
+    expect(second.status).toBe(400);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+  });
+
+  test('rejects the same key with a different body', async () => {
+    await create('mismatch-1', { url: 'https://example.com/a' });
+
+    const res = await create('mismatch-1', { url: 'https://example.com/b' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.details.code).toBe('IDEMPOTENCY_KEY_MISMATCH');
+  });
+
+  test('does not keep server errors, so the request can be retried', async () => {
+    jest.spyOn(urlStorage, 'createShortURL').mockImplementationOnce(() => {
+      throw new Error('disk full');
+    });
+
+    const failed = await create('retry-1', { url: 'https://example.com/retry' });
+    const retried = await create('retry-1', { url: 'https://example.com/retry' });
+
+    expect(failed.status).toBe(500);
+    expect(retried.status).toBe(201);
+    expect(retried.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('rejects keys that are blank or too long', async () => {
+    const blank = await create(' ', { url: 'https://example.com' });
+    const long = await create('k'.repeat(256), { url: 'https://example.com' });
+
+    expect(blank.status).toBe(400);
+    expect(long.status).toBe(400);
+    expect(long.body.details.code).toBe('INVALID_IDEMPOTENCY_KEY');
+  });
+});
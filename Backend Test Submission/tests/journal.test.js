@@ -0,0 +1,109 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryDriver, Journal } = require('../src/models/drivers');
+
+const makeLink = (shortcode) => ({
+  shortcode,
+  originalUrl: `https://example.com/${shortcode}`,
+  createdAt: new Date().toISOString()
+});
+
+describe('memory driver journal', () => {
+  let dir;
+  const open = () => new MemoryDriver({ journal: new Journal({ dir, fsync: false }) });
+  const restart = (driver) => {
+    driver.journal.close();
+    const next = open();
+    return { driver: next, report: next.recover() };
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'journal-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('replays links and clicks written before a restart', () => {
+    const driver = open();
+    driver.recover();
+    driver.create(makeLink('abc123'));
+    driver.recordClick('abc123', { timestamp: new Date().toISOString() });
+    driver.update('abc123', { ...makeLink('abc123'), isActive: false });
+
+    const { driver: restored, report } = restart(driver);
+
+    expect(report.replayedEntries).toBe(3);
+    expect(report.skippedEntries).toEqual([]);
+    expect(restored.get('abc123').isActive).toBe(false);
+    expect(restored.countClicks('abc123')).toBe(1);
+  });
+
+  test('skips a torn last line and keeps everything before it', () => {
+    const driver = open();
+    driver.recover();
+    driver.create(makeLink('abc123'));
+    driver.create(makeLink('def456'));
+    fs.appendFileSync(path.join(dir, 'journal.log'), '{"seq":3,"op":"create","da');
+
+    const { driver: restored, report } = restart(driver);
+
+    expect(report.restoredUrls).toBe(2);
+    expect(report.skippedEntries).toEqual([
+      expect.objectContaining({ reason: 'unparseable entry (truncated write?)' })
+    ]);
+    expect(restored.has('def456')).toBe(true);
+  });
+
+  test('skips entries whose checksum does not match', () => {
+    const driver = open();
+    driver.recover();
+    driver.create(makeLink('abc123'));
+    const journalPath = path.join(dir, 'journal.log');
+    fs.writeFileSync(journalPath, fs.readFileSync(journalPath, 'utf8').replace('abc123', 'xyz789'));
+
+    const { driver: restored, report } = restart(driver);
+
+    expect(report.skippedEntries).toEqual([expect.objectContaining({ reason: 'checksum mismatch' })]);
+    expect(restored.count()).toBe(0);
+  });
+
+  test('moves an unreadable snapshot aside instead of compacting over it', () => {
+    const driver = open();
+    driver.recover();
+    driver.create(makeLink('abc123'));
+    driver.journal.close();
+    fs.writeFileSync(path.join(dir, 'snapshot.json'), '{"seq": 4, "urls": [');
+
+    const restored = open();
+    const report = restored.recover();
+
+    expect(report.quarantinedSnapshot).toMatch(/snapshot\.json\.corrupt-/);
+    expect(fs.readFileSync(report.quarantinedSnapshot, 'utf8')).toBe('{"seq": 4, "urls": [');
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'snapshot.json'), 'utf8')).urls).toHaveLength(1);
+    restored.journal.close();
+  });
+
+  test('a read-only recovery leaves the journal and an unreadable snapshot untouched', () => {
+    const driver = open();
+    driver.recover();
+    driver.create(makeLink('abc123'));
+    driver.create(makeLink('def456'));
+    fs.writeFileSync(path.join(dir, 'snapshot.json'), '{"seq": 0, "urls": [');
+    const before = fs.readdirSync(dir).map(file => [file, fs.readFileSync(path.join(dir, file), 'utf8')]);
+
+    const reader = open();
+    const report = reader.recover({ readOnly: true });
+
+    expect(report.snapshotError).toEqual(expect.any(String));
+    expect(report.quarantinedSnapshot).toBeNull();
+    expect(reader.count()).toBe(2);
+    expect(fs.readdirSync(dir).map(file => [file, fs.readFileSync(path.join(dir, file), 'utf8')])).toEqual(before);
+
+    // The live driver keeps appending to the same journal
+    driver.create(makeLink('ghi789'));
+    expect(restart(driver).driver.has('ghi789')).toBe(true);
+  });
+});
@@ -0,0 +1,49 @@
+const request = require('supertest');
+const app = require('../src/app');
+const urlStorage = require('../src/models/urlStorage');
+const { parseLinkWindow } = require('../src/utils/helpers');
+
+const MINUTE = 60 * 1000;
+const inMinutes = (minutes) => new Date(Date.now() + minutes * MINUTE).toISOString();
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / MINUTE);
+
+describe('parseLinkWindow', () => {
+  test('counts validity from startsAt', () => {
+    const startsAt = inMinutes(120);
+    const { errors, window } = parseLinkWindow({ startsAt, validity: 30 });
+
+    expect(errors).toEqual({});
+    expect(minutesBetween(startsAt, window.expiresAt)).toBe(30);
+  });
+
+  test('counts the default validity from startsAt', () => {
+    const startsAt = inMinutes(120);
+    const { window } = parseLinkWindow({ startsAt });
+
+    expect(minutesBetween(startsAt, window.expiresAt)).toBe(30);
+    expect(window.validityMinutes).toBe(30);
+  });
+
+  test('on edit, counts validity from a stored activation still ahead', () => {
+    const currentStartsAt = inMinutes(120);
+
+    const pending = parseLinkWindow({ validity: 30 }, { isUpdate: true, currentStartsAt });
+    const started = parseLinkWindow({ validity: 30 }, { isUpdate: true, currentStartsAt: inMinutes(-120) });
+
+    expect(minutesBetween(currentStartsAt, pending.window.expiresAt)).toBe(30);
+    expect(minutesBetween(new Date(), started.window.expiresAt)).toBe(30);
+  });
+});
+
+describe('PATCH /shorturls/:shortcode expiry window', () => {
+  test('validity on a scheduled link counts from its activation', async () => {
+    const startsAt = inMinutes(120);
+    await request(app).post('/shorturls').send({ url: 'https://example.com/window', shortcode: 'window01', startsAt });
+
+    const res = await request(app).patch('/shorturls/window01').send({ validity: 45 });
+
+    expect(res.status).toBe(200);
+    expect(minutesBetween(startsAt, res.body.expiresAt)).toBe(45);
+    expect(urlStorage.driver.get('window01').validityMinutes).toBe(45);
+  });
+});
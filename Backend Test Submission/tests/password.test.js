@@ -0,0 +1,85 @@
+const request = require('supertest');
+const app = require('../src/app');
+const urlStorage = require('../src/models/urlStorage');
+const { hashPassword, verifyPassword } = require('../src/utils/linkPassword');
+
+const create = (shortcode) => request(app)
+  .post('/shorturls')
+  .send({ url: `https://example.com/${shortcode}`, shortcode, password: 'open sesame' });
+
+const unlock = (shortcode, password, ip = '203.0.113.1') => request(app)
+  .post(`/${shortcode}`)
+  .set('X-Forwarded-For', ip)
+  .set('Accept', 'application/json')
+  .send({ password });
+
+describe('password hashing', () => {
+  test('stores a salted scrypt hash that only the right password verifies', () => {
+    const first = hashPassword('open sesame');
+    const second = hashPassword('open sesame');
+
+    expect(first).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    expect(second).not.toBe(first);
+    expect(verifyPassword('open sesame', first)).toBe(true);
+    expect(verifyPassword('open sesame!', first)).toBe(false);
+    expect(verifyPassword(undefined, first)).toBe(false);
+  });
+});
+
+describe('protected links', () => {
+  test('keep only the hash and hide the destination from statistics', async () => {
+    await create('secret01');
+
+    const stored = urlStorage.driver.get('secret01');
+    const stats = await request(app).get('/shorturls/secret01');
+
+    expect(JSON.stringify(stored)).not.toContain('open sesame');
+    expect(verifyPassword('open sesame', stored.passwordHash)).toBe(true);
+    expect(stats.body.passwordProtected).toBe(true);
+    expect(stats.body.originalUrl).toBeNull();
+  });
+
+  test('count a click only for a successful unlock', async () => {
+    await create('secret02');
+
+    const visit = await request(app).get('/secret02').set('Accept', 'application/json');
+    const wrong = await unlock('secret02', 'guess');
+    const right = await unlock('secret02', 'open sesame');
+
+    expect(visit.status).toBe(401);
+    expect(visit.body.details.status).toBe('password_required');
+    expect(wrong.status).toBe(401);
+    expect(right.status).toBe(200);
+    expect(right.body.originalUrl).toBe('https://example.com/secret02');
+    expect(urlStorage.driver.countClicks('secret02')).toBe(1);
+  });
+
+  test('limit failed attempts per link and client, across the link\'s aliases', async () => {
+    await create('secret03');
+    await create('secret04');
+    await request(app).post('/shorturls/secret03/aliases').send({ alias: 'hidden03' });
+
+    for (let i = 0; i < 3; i++) {
+      expect((await unlock('secret03', 'guess')).status).toBe(401);
+    }
+    for (let i = 0; i < 2; i++) {
+      expect((await unlock('hidden03', 'guess')).status).toBe(401);
+    }
+
+    const blocked = await unlock('secret03', 'open sesame');
+    expect(blocked.status).toBe(429);
+    expect((await unlock('hidden03', 'guess')).status).toBe(429);
+    expect((await unlock('secret03', 'guess', '203.0.113.2')).status).toBe(401);
+    expect((await unlock('secret04', 'guess')).status).toBe(401);
+    expect(urlStorage.driver.countClicks('secret03')).toBe(0);
+  });
+
+  test('successful unlocks do not count towards the limit', async () => {
+    await create('secret05');
+
+    for (let i = 0; i < 6; i++) {
+      expect((await unlock('secret05', 'open sesame', '203.0.113.3')).status).toBe(200);
+    }
+    expect((await unlock('secret05', 'guess', '203.0.113.3')).status).toBe(401);
+  });
+});
@@ -0,0 +1,86 @@
+const { validateScheduleRules, matchScheduleRule, normalizeScheduleRules } = require('../src/utils/scheduleRules');
+
+const schedule = (...rules) => ({ timeZone: 'UTC', rules: rules.map(rule => ({ url: 'https://example.com', ...rule })) });
+
+describe('validateScheduleRules', () => {
+  test('accepts rules that never apply at the same time', () => {
+    expect(validateScheduleRules(schedule(
+      { name: 'weekdays', days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '09:00', to: '18:00' },
+      { name: 'evenings', days: ['mon', 'tue', 'wed', 'thu', 'fri'], from: '18:00', to: '24:00' },
+      { name: 'weekend', days: ['sat', 'sun'] }
+    ))).toBeNull();
+  });
+
+  test('rejects overlapping hour ranges on a shared day', () => {
+    expect(validateScheduleRules(schedule(
+      { name: 'office', days: ['mon', 'tue'], from: '09:00', to: '17:00' },
+      { name: 'lunch', days: ['tue'], from: '12:00', to: '13:00' }
+    ))).toBe('scheduleRules.rules[1] "lunch" overlaps "office" on tue 12:00-13:00');
+  });
+
+  test('rejects a date window overlapping an all-week rule', () => {
+    expect(validateScheduleRules(schedule(
+      { name: 'always-mornings', from: '06:00', to: '10:00' },
+      { name: 'sale', startDate: '2099-06-01', endDate: '2099-06-03' }
+    ))).toMatch(/"sale" overlaps "always-mornings" on .* 06:00-10:00 between 2099-06-01 and 2099-06-03/);
+  });
+
+  test('allows the same hours in date windows that do not meet', () => {
+    expect(validateScheduleRules(schedule(
+      { name: 'first', startDate: '2099-06-01', endDate: '2099-06-02' },
+      { name: 'second', startDate: '2099-06-03', endDate: '2099-06-04' }
+    ))).toBeNull();
+  });
+
+  test('allows weekday rules next to a date window that has none of those weekdays', () => {
+    // 2099-12-24 is a Thursday
+    expect(validateScheduleRules(schedule(
+      { name: 'sat', days: ['sat'] },
+      { name: 'christmas-eve', startDate: '2099-12-24', endDate: '2099-12-24' }
+    ))).toBeNull();
+    expect(validateScheduleRules(schedule(
+      { name: 'thu', days: ['thu', 'sat'] },
+      { name: 'christmas-eve', startDate: '2099-12-24', endDate: '2099-12-24' }
+    ))).toBe('scheduleRules.rules[1] "christmas-eve" overlaps "thu" on thu 00:00-24:00 between 2099-12-24 and 2099-12-24');
+  });
+
+  test('rejects a date window with none of the rule\'s weekdays', () => {
+    // 2099-06-01 to 2099-06-03 is Monday to Wednesday
+    expect(validateScheduleRules(schedule(
+      { name: 'never', days: ['sat'], startDate: '2099-06-01', endDate: '2099-06-03' }
+    ))).toBe('scheduleRules.rules[0] can never apply: no day between 2099-06-01 and 2099-06-03 falls on sat');
+  });
+
+  test('rejects impossible or reversed windows', () => {
+    expect(validateScheduleRules(schedule({ from: '18:00', to: '09:00' })))
+      .toMatch(/to must be after from/);
+    expect(validateScheduleRules(schedule({ startDate: '2099-02-30' })))
+      .toMatch(/startDate must be a real calendar date/);
+    expect(validateScheduleRules(schedule({ startDate: '2099-06-03', endDate: '2099-06-01' })))
+      .toMatch(/endDate must not be before startDate/);
+    expect(validateScheduleRules(schedule({ endDate: '2000-01-01' })))
+      .toMatch(/endDate 2000-01-01 has already passed in UTC/);
+    expect(validateScheduleRules(schedule({ from: '09:00' })))
+      .toMatch(/must set both from and to/);
+  });
+
+  test('rejects unknown time zones and duplicate rule names', () => {
+    expect(validateScheduleRules({ timeZone: 'Mars/Olympus', rules: [{ days: ['mon'], url: 'https://example.com' }] }))
+      .toMatch(/not a valid IANA time zone/);
+    expect(validateScheduleRules(schedule({ name: 'a', days: ['mon'] }, { name: 'a', days: ['tue'] })))
+      .toBe('scheduleRules.rules[1].name "a" is used by another rule');
+  });
+});
+
+describe('matchScheduleRule', () => {
+  test('matches by wall-clock time in the schedule\'s time zone', () => {
+    const rules = normalizeScheduleRules({
+      timeZone: 'Asia/Kolkata',
+      rules: [{ name: 'office', days: ['mon'], from: '09:00', to: '18:00', url: 'https://example.com/office' }]
+    });
+
+    // Monday 2099-06-01 04:00 UTC is 09:30 in Kolkata
+    expect(matchScheduleRule(rules, new Date('2099-06-01T04:00:00Z')).name).toBe('office');
+    expect(matchScheduleRule(rules, new Date('2099-06-01T13:00:00Z'))).toBeNull();
+  });
+});
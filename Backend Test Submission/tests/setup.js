@@ -0,0 +1,4 @@
+// Tests run against in-memory storage that is never journaled to data/, and with the
+// server never listening; requests go through supertest.
+process.env.STORAGE_DRIVER = 'memory';
+process.env.JOURNAL_ENABLED = 'false';
@@ -59,12 +59,12 @@ const StatisticsTable = ({ statistics }) => {
                     whiteSpace: 'nowrap'
                   }}
                 >
-                  {row.originalUrl}
+                  {row.originalUrl || 'Hidden (password protected)'}
                 </Typography>
               </TableCell>
               <TableCell align="right">{row.clicks}</TableCell>
               <TableCell>{new Date(row.createdAt).toLocaleString()}</TableCell>
-              <TableCell>{new Date(row.expiresAt).toLocaleString()}</TableCell>
+              <TableCell>{row.expiresAt ? new Date(row.expiresAt).toLocaleString() : 'Never'}</TableCell>
             </TableRow>
           ))}
         </TableBody>
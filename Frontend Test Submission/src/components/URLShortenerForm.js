@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import { 
   Box, 
   TextField, 
@@ -14,7 +14,8 @@ import {
   List,
   ListItem,
   ListItemText,
-  ListItemSecondaryAction
+  ListItemSecondaryAction,
+  Chip
 } from '@mui/material';
 import { 
   Add as AddIcon, 
@@ -24,31 +25,122 @@ import {
 } from '@mui/icons-material';
 import apiService from '../services/apiService';
 
+// Wait this long after the last keystroke before checking a shortcode
+const AVAILABILITY_DEBOUNCE_MS = 400;
+
+let nextFormId = 1;
+
+// Each form carries the Idempotency-Key for its submission. It is kept while the form is
+// unchanged, so submitting again after a timeout returns the link that may already have
+// been created, and replaced on every edit. id stays fixed for the form's lifetime.
+const createEmptyForm = () => ({
+  id: nextFormId++,
+  url: '',
+  validity: '',
+  shortcode: '',
+  idempotencyKey: apiService.createIdempotencyKey()
+});
+
 const URLShortenerForm = () => {
-  const [urlForms, setUrlForms] = useState([
-    { url: '', validity: '', shortcode: '' }
-  ]);
+  const [urlForms, setUrlForms] = useState(() => [createEmptyForm()]);
   const [results, setResults] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
+  // Latest shortcode check per form id: { shortcode, status, reason, alternatives }
+  const [availability, setAvailability] = useState({});
+  const availabilityTimers = useRef({});
+
+  useEffect(() => {
+    const timers = availabilityTimers.current;
+    return () => Object.values(timers).forEach(clearTimeout);
+  }, []);
+
+  const setFormAvailability = (formId, value) => {
+    setAvailability(prev => {
+      const next = { ...prev };
+      if (value) {
+        next[formId] = value;
+      } else {
+        delete next[formId];
+      }
+      return next;
+    });
+  };
+
+  // Check the shortcode once the user stops typing; answers for a code that has since
+  // been edited again are dropped
+  const scheduleAvailabilityCheck = (formId, value) => {
+    clearTimeout(availabilityTimers.current[formId]);
+    const shortcode = value.trim();
+
+    if (!shortcode) {
+      setFormAvailability(formId, null);
+      return;
+    }
+
+    setFormAvailability(formId, { shortcode, status: 'checking' });
+    availabilityTimers.current[formId] = setTimeout(async () => {
+      let result;
+      try {
+        result = (await apiService.checkShortcodeAvailability(shortcode)).data;
+      } catch (error) {
+        result = { shortcode, status: 'unknown' };
+      }
+      setAvailability(prev => (
+        prev[formId]?.shortcode === shortcode ? { ...prev, [formId]: result } : prev
+      ));
+    }, AVAILABILITY_DEBOUNCE_MS);
+  };
+
+  const getShortcodeHelp = (form) => {
+    const check = availability[form.id];
+    if (!check || check.shortcode !== form.shortcode.trim()) {
+      return { text: 'Optional. 3-20 characters', error: false };
+    }
+
+    switch (check.status) {
+      case 'checking':
+        return { text: 'Checking availability...', error: false };
+      case 'free':
+        return { text: 'Available', error: false };
+      case 'taken':
+        return { text: 'Already taken. Try one of the suggestions below.', error: true };
+      case 'reserved':
+      case 'invalid':
+        return { text: check.reason?.message || 'This shortcode cannot be used', error: true };
+      default:
+        return { text: 'Could not check availability right now', error: false };
+    }
+  };
 
   const handleAddForm = () => {
     if (urlForms.length < 5) {
-      setUrlForms([...urlForms, { url: '', validity: '', shortcode: '' }]);
+      setUrlForms([...urlForms, createEmptyForm()]);
     }
   };
 
   const handleRemoveForm = (index) => {
     if (urlForms.length > 1) {
+      const formId = urlForms[index].id;
+      clearTimeout(availabilityTimers.current[formId]);
+      setFormAvailability(formId, null);
       setUrlForms(urlForms.filter((_, i) => i !== index));
     }
   };
 
   const handleFormChange = (index, field, value) => {
     const newForms = [...urlForms];
-    newForms[index][field] = value;
+    newForms[index] = {
+      ...newForms[index],
+      [field]: value,
+      idempotencyKey: apiService.createIdempotencyKey()
+    };
     setUrlForms(newForms);
+
+    if (field === 'shortcode') {
+      scheduleAvailabilityCheck(newForms[index].id, value);
+    }
   };
 
   const validateForm = (form) => {
@@ -109,7 +201,7 @@ const URLShortenerForm = () => {
           requestData.shortcode = form.shortcode.trim();
         }
         
-        return apiService.createShortUrl(requestData);
+        return apiService.createShortUrl(requestData, { idempotencyKey: form.idempotencyKey });
       });
 
       const responses = await Promise.all(apiCalls);
@@ -117,7 +209,8 @@ const URLShortenerForm = () => {
       setSuccess(`Successfully shortened ${responses.length} URL(s)`);
       
       // Reset forms
-      setUrlForms([{ url: '', validity: '', shortcode: '' }]);
+      setUrlForms([createEmptyForm()]);
+      setAvailability({});
 
     } catch (error) {
       setError(error.message || 'Failed to shorten URLs');
@@ -148,7 +241,7 @@ const URLShortenerForm = () => {
         
         <Box component="form" onSubmit={handleSubmit}>
           {urlForms.map((form, index) => (
-            <Accordion key={index} defaultExpanded sx={{ mb: 2 }}>
+            <Accordion key={form.id} defaultExpanded sx={{ mb: 2 }}>
               <AccordionSummary expandIcon={<ExpandMoreIcon />}>
                 <Typography variant="h6">
                   URL {index + 1} {form.url ? `- ${form.url.substring(0, 50)}...` : ''}
@@ -190,8 +283,24 @@ const URLShortenerForm = () => {
                       placeholder="mylink"
                       disabled={loading}
                       inputProps={{ minLength: 3, maxLength: 20 }}
-                      helperText="Optional. 3-20 characters"
+                      error={getShortcodeHelp(form).error}
+                      helperText={getShortcodeHelp(form).text}
                     />
+                    {availability[form.id]?.shortcode === form.shortcode.trim() &&
+                      availability[form.id]?.alternatives?.length > 0 && (
+                      <Box sx={{ mt: 1, display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+                        {availability[form.id].alternatives.map(alternative => (
+                          <Chip
+                            key={alternative}
+                            label={alternative}
+                            size="small"
+                            variant="outlined"
+                            onClick={() => handleFormChange(index, 'shortcode', alternative)}
+                            disabled={loading}
+                          />
+                        ))}
+                      </Box>
+                    )}
                   </Grid>
                   {urlForms.length > 1 && (
                     <Grid item xs={12}>
@@ -73,20 +73,33 @@ apiClient.interceptors.response.use(
 );
 
 class ApiService {
-  async createShortUrl(urlData) {
+  // Random key for the Idempotency-Key header; resending a request with the same key
+  // returns the link created the first time instead of a duplicate
+  createIdempotencyKey() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+      return window.crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`;
+  }
+
+  async createShortUrl(urlData, { idempotencyKey } = {}) {
     try {
       logger.userAction('Create Short URL', { originalUrl: urlData.url });
       logger.info('Sending request to backend', { 
         url: '/shorturls', 
         data: urlData,
-        baseURL: API_BASE_URL 
+        baseURL: API_BASE_URL,
+        idempotencyKey
       });
       
-      const response = await apiClient.post('/shorturls', urlData);
+      const response = await apiClient.post('/shorturls', urlData, {
+        headers: idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {}
+      });
       
       logger.info('Short URL created successfully', {
         shortLink: response.data.shortLink,
-        expiry: response.data.expiry
+        expiry: response.data.expiry,
+        replayed: response.headers['idempotent-replayed'] === 'true'
       });
       
       return {
@@ -110,6 +123,33 @@ class ApiService {
     }
   }
 
+  async checkShortcodeAvailability(shortcode) {
+    try {
+      const response = await apiClient.get(`/shorturls/${encodeURIComponent(shortcode)}/availability`);
+
+      logger.info('Shortcode availability checked', {
+        shortcode,
+        status: response.data.status
+      });
+
+      return {
+        success: true,
+        data: response.data
+      };
+    } catch (error) {
+      logger.error('Failed to check shortcode availability', {
+        shortcode,
+        error: error.message
+      });
+
+      throw {
+        message: error.response?.data?.message || 'Failed to check shortcode availability',
+        status: error.response?.status || 500,
+        details: error.response?.data
+      };
+    }
+  }
+
   async getUrlStatistics(shortcode) {
     try {
       logger.userAction('Get URL Statistics', { shortcode });
@@ -166,22 +206,47 @@ class ApiService {
     }
   }
 
-  async createMultipleShortUrls(urlDataArray) {
+  async createMultipleShortUrls(urlDataArray, options = {}) {
     try {
       logger.userAction('Create Multiple Short URLs', {
-        count: urlDataArray.length
+        count: urlDataArray.length,
+        atomic: Boolean(options.atomic)
       });
 
-      const promises = urlDataArray.map(urlData => 
-        this.createShortUrl(urlData).catch(error => ({
-          success: false,
-          error: error.message,
-          originalData: urlData
-        }))
-      );
+      let batchResponse;
+      try {
+        const response = await apiClient.post('/shorturls/batch', {
+          items: urlDataArray,
+          atomic: Boolean(options.atomic)
+        });
+        batchResponse = response.data;
+      } catch (error) {
+        // Rejected atomic batches still carry per-item results
+        if (error.response?.status === 422 && error.response.data?.results) {
+          batchResponse = error.response.data;
+        } else {
+          throw error;
+        }
+      }
+
+      const results = batchResponse.results.map(result => (
+        result.success
+          ? {
+              success: true,
+              data: {
+                shortLink: result.shortLink,
+                shortcode: result.shortcode,
+                expiry: result.expiry
+              }
+            }
+          : {
+              success: false,
+              error: result.error.message,
+              code: result.error.code,
+              originalData: urlDataArray[result.index]
+            }
+      ));
 
-      const results = await Promise.all(promises);
-      
       const successful = results.filter(result => result.success);
       const failed = results.filter(result => !result.success);
       
@@ -201,12 +266,15 @@ class ApiService {
       };
     } catch (error) {
       logger.error('Failed to create multiple short URLs', {
-        error: error.message
+        error: error.message,
+        response: error.response?.data,
+        status: error.response?.status
       });
       
       throw {
-        message: 'Failed to create multiple short URLs',
-        details: error
+        message: error.response?.data?.message || 'Failed to create multiple short URLs',
+        status: error.response?.status || 500,
+        details: error.response?.data || error
       };
     }
   }